@@ -0,0 +1,584 @@
+import { WebGLRenderer, Color } from "three";
+
+export const BackendTypeEnum = Object.freeze({
+  webgl: "webgl",
+  shared: "shared",
+  recording: "recording"
+});
+
+// The WebGL context shared by the ‹three-app› elements with a `shared`
+// backend: a renderer drawing to a canvas out of the DOM, created by the
+// first backend using it, and disposed once the last one was disposed
+const shared = {
+  renderer: undefined,  // THREE `WebGLRenderer` instance
+  backends: new Set()   // Backends using the renderer
+};
+
+// Event-listeners of the shared canvas, which forward the loss and the
+// restoration of the shared context to the display canvas of each backend
+// using it — for each ‹three-app› element to handle them, as if it had
+// lost its own context; prevents the default behavior of the loss, which
+// would otherwise be to never restore the context
+function onSharedContextLost( event) {
+  event.preventDefault();
+  shared.backends.forEach(( backend) => backend.canvas.dispatchEvent(
+    new CustomEvent( "webglcontextlost", { cancelable: true })));
+}
+function onSharedContextRestored() {
+  shared.backends.forEach(( backend) => backend.canvas.dispatchEvent(
+    new CustomEvent( "webglcontextrestored")));
+}
+
+// Maximum count of elements with a `shared` backend rendered per animation
+// frame: the others render on the next frames, in turn
+const RENDERS_PER_FRAME = 4;
+
+// Scheduler of the animation loops of the ‹three-app› elements with a `shared`
+// backend, which runs their pending frame requests upon one animation frame,
+// oldest first — until `RENDERS_PER_FRAME` of them rendered; the remaining
+// requests come first upon the next animation frame
+const scheduler = {
+  requests: new Map(),     // Callbacks of the pending frame requests, by identifier
+  lastRequest: 0,          // Identifier of the last frame request
+  frameRequest: undefined, // Identifier of the pending `requestAnimationFrame()` call
+  renders: 0               // Count of elements rendered upon the current animation frame
+};
+
+function scheduleFrame( callback) {
+  const id = ++scheduler.lastRequest;
+  scheduler.requests.set( id, callback);
+  if( typeof scheduler.frameRequest === "undefined") {
+    scheduler.frameRequest = window.requestAnimationFrame( runScheduledFrames);
+  }
+  return id;
+}
+
+function cancelScheduledFrame( id) {
+  scheduler.requests.delete( id);
+  if( scheduler.requests.size === 0 && typeof scheduler.frameRequest !== "undefined") {
+    window.cancelAnimationFrame( scheduler.frameRequest);
+    scheduler.frameRequest = undefined;
+  }
+}
+
+// Runs the pending frame requests, within the budget of renders of the
+// animation frame; the requests made meanwhile are due upon the next one
+function runScheduledFrames( time) {
+  scheduler.frameRequest = undefined;
+  scheduler.renders = 0;
+  const due = Array.from( scheduler.requests.keys());
+  try {
+    let index = 0;
+    while( index < due.length && scheduler.renders < RENDERS_PER_FRAME) {
+      const id = due[ index++],
+            callback = scheduler.requests.get( id);
+      if( typeof callback !== "undefined") { // Unless cancelled meanwhile
+        scheduler.requests.delete( id);
+        callback( time);
+      }
+    }
+  } finally {
+    if( scheduler.requests.size > 0 && typeof scheduler.frameRequest === "undefined") {
+      scheduler.frameRequest = window.requestAnimationFrame( runScheduledFrames);
+    }
+  }
+}
+
+// Creates the WebGL context of given canvas, with the attributes THREE
+// would otherwise request itself — or throws an error, if it cannot be
+// created: THREE r101 only logs that error, and would then fail with an
+// unrelated one, while initializing the context it did not get
+function createContext( canvas, contextAttributes) {
+  const attributes = Object.assign({
+          alpha: false, depth: true, stencil: true, antialias: false, premultipliedAlpha: true,
+          preserveDrawingBuffer: false, powerPreference: "default" }, contextAttributes),
+        context = canvas.getContext( "webgl", attributes)
+          || canvas.getContext( "experimental-webgl", attributes);
+  if( context === null) {
+    throw new Error( "The WebGL context cannot be created (WebGL disabled, or too many contexts)");
+  }
+  return context;
+}
+
+/**
+ * Renderer backend of a ‹three-app› element, which draws its scenes to its
+ * display canvas with a THREE `WebGLRenderer`: the default backend.
+ *
+ * A renderer backend adapts a renderer to the few methods the ‹three-app›
+ * element needs: `init()`, `configure()`, `setPixelRatio()`, `setSize()`,
+ * `getSize()`, `render()` and `dispose()` — and optionally `endFrame()`,
+ * called once all viewports of a frame were rendered, `requestFrame()` and
+ * `cancelFrame()`, which schedule the animation loop of the element in place
+ * of `window.requestAnimationFrame()`, `getInfo()`,
+ * which provides the statistics of the last frame to the performance
+ * overlay of the ‹three-app› element, and `getMemory()`, which provides
+ * the current count of GPU resources to its leak report. Custom backends can
+ * be plugged in a ‹three-app› element, as objects which provide these
+ * methods, along with a `type` property (@see `ThreeAppRecordingBackend`,
+ * which does not need WebGL at all).
+ */
+export class ThreeAppWebGLBackend {
+
+  constructor() {
+    this.type = BackendTypeEnum.webgl;
+    this.renderer = undefined; // Internal THREE `WebGLRenderer` instance, created by `init()`
+    this.info = {              // Statistics of the last frame, summed over all of its viewports
+      calls: 0, triangles: 0, points: 0, lines: 0, geometries: 0, textures: 0 };
+  }
+
+  /**
+   * Creates the renderer, drawing to given canvas — or throws an error,
+   * if WebGL is not supported or the context cannot be created.
+   *
+   * @param {HTMLCanvasElement} canvas The display canvas.
+   * @param {Object} contextAttributes Attributes of the WebGL context:
+   *   `{ alpha, antialias, preserveDrawingBuffer, powerPreference }`.
+   */
+  init( canvas, contextAttributes) {
+    if( typeof WebGLRenderingContext === "undefined") {
+      throw new Error( "WebGL is not supported by this browser");
+    }
+    const context = createContext( canvas, contextAttributes);
+    this.renderer = new WebGLRenderer( Object.assign({ canvas, context }, contextAttributes));
+    this.renderer.info.autoReset = false; // @see `endFrame()`
+  }
+
+  /**
+   * Applies given renderer settings, which are the THREE constants
+   * already mapped from the attributes of the ‹three-app› element.
+   *
+   * @param {Object} settings `{ clearColor, clearAlpha, toneMapping,
+   *   toneMappingExposure, gammaOutput, shadows, shadowType }`.
+   * @return {boolean} True, if the materials must be recompiled (which
+   *   is the case, when the shadows were turned on or off).
+   */
+  configure({ clearColor, clearAlpha, toneMapping, toneMappingExposure, gammaOutput, shadows, shadowType }) {
+    const renderer = this.renderer;
+    renderer.setClearColor( new Color( clearColor), clearAlpha);
+    renderer.toneMapping = toneMapping;
+    renderer.toneMappingExposure = toneMappingExposure;
+    renderer.gammaOutput = gammaOutput;
+    renderer.gammaFactor = gammaOutput ? 2.2 : 2.0;
+
+    if( renderer.shadowMap.enabled !== shadows || renderer.shadowMap.type !== shadowType) {
+      renderer.shadowMap.enabled = shadows;
+      renderer.shadowMap.type = shadowType;
+      return true;
+    }
+    return false;
+  }
+
+  setPixelRatio( ratio) {
+    this.renderer.setPixelRatio( ratio);
+  }
+
+  /**
+   * Sets the size of the display buffer, in CSS pixels — without
+   * changing the style of the canvas, which is sized by the page.
+   */
+  setSize( width, height) {
+    this.renderer.setSize( width, height, false);
+  }
+
+  /**
+   * Returns the size of the display buffer, as `{ width, height }`, in CSS pixels.
+   */
+  getSize() {
+    return this.renderer.getSize();
+  }
+
+  /**
+   * Renders given scene through given camera — to the whole display, or
+   * to given region of it only (with a scissor test, for the rest of the
+   * display to be left as is), or into given render target.
+   *
+   * @param {Scene} scene The THREE scene to render.
+   * @param {Camera} camera The THREE camera to render it through.
+   * @param {Object} viewport Optional region `{ x, y, width, height }` of
+   *   the display, in CSS pixels (origin at top-left).
+   * @param {WebGLRenderTarget} target Optional render target, to render
+   *   into as a whole, rather than to the display.
+   */
+  render( scene, camera, viewport, target) {
+    const renderer = this.renderer;
+    if( typeof target !== "undefined") {
+      renderer.render( scene, camera, target);
+      return;
+    }
+    if( typeof viewport === "undefined") {
+      renderer.render( scene, camera);
+      return;
+    }
+    const { x, y, width, height } = viewport;
+    renderer.setViewport( x, y, width, height);
+    renderer.setScissor( x, y, width, height);
+    renderer.setScissorTest( true);
+    renderer.render( scene, camera);
+
+    // Restore the viewport to the whole display
+    const size = renderer.getSize();
+    renderer.setScissorTest( false);
+    renderer.setViewport( 0, 0, size.width, size.height);
+  }
+
+  /**
+   * Keeps the statistics of the frame which was just rendered, and resets
+   * them for the next one — rather than at each call of `render()`, for
+   * them to add up over all viewports of the frame.
+   */
+  endFrame() {
+    const { render, memory } = this.renderer.info,
+          info = this.info;
+    info.calls = render.calls;
+    info.triangles = render.triangles;
+    info.points = render.points;
+    info.lines = render.lines;
+    info.geometries = memory.geometries;
+    info.textures = memory.textures;
+
+    this.renderer.info.reset();
+    // Once again, as restoring a lost context re-creates the statistics
+    this.renderer.info.autoReset = false;
+  }
+
+  /**
+   * Returns the statistics of the last rendered frame: `{ calls, triangles,
+   * points, lines, geometries, textures }`.
+   */
+  getInfo() {
+    return this.info;
+  }
+
+  /**
+   * Returns the current count of geometries and textures held by the
+   * renderer on the GPU: `{ geometries, textures }` — which, unlike the
+   * statistics of the last frame, accounts for the resources disposed
+   * of in the meantime.
+   */
+  getMemory() {
+    const { geometries, textures } = this.renderer.info.memory;
+    return { geometries, textures };
+  }
+
+  /**
+   * Disposes the renderer and releases its WebGL context.
+   */
+  dispose() {
+    if( typeof this.renderer === "undefined") { return; }
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+    this.renderer = undefined;
+  }
+}
+
+/**
+ * Renderer backend of a ‹three-app› element, which draws its scenes with a
+ * THREE `WebGLRenderer` shared with other ‹three-app› elements of the page —
+ * for pages with many elements not to run out of WebGL contexts, which
+ * browsers limit in number (often to 16), dropping the oldest ones.
+ *
+ * The shared renderer draws to a canvas out of the DOM, large enough for
+ * the display buffer of the largest element; each element renders into its
+ * top-left region (THREE measuring viewports from the top of the canvas),
+ * which is then copied to its display canvas — a 2D canvas —, once all
+ * viewports of the frame were rendered.
+ *
+ * The animation loops of the elements are scheduled together, upon the same
+ * animation frames (@see `requestFrame()`), for at most `RENDERS_PER_FRAME`
+ * elements to render per frame, in turn — which lowers the frame rate of each
+ * element, when there are more of them. Only the visible elements request
+ * frames, as the others suspend their animation loop.
+ *
+ * The renderer settings of each element (clear color, tone mapping, output
+ * encoding and shadows) are applied before it renders; the context attributes
+ * are those of the first element, which created the shared renderer.
+ */
+export class ThreeAppSharedBackend extends ThreeAppWebGLBackend {
+
+  constructor() {
+    super();
+    this.type = BackendTypeEnum.shared;
+    this.canvas = undefined;   // The display canvas of the ‹three-app› element
+    this.context = undefined;  // Its 2D context, which the renders are copied to
+    this.settings = undefined; // Renderer settings of the element, applied by `beginFrame()`
+    this.pixelRatio = 1;
+    this.width = 0;            // Size of the display buffer, in CSS pixels
+    this.height = 0;
+    this._drawing = false;     // Whether a frame is being rendered, until `endFrame()` is called
+  }
+
+  /**
+   * Gets the 2D context of given canvas, and the shared renderer — creating
+   * it, if this backend is the first one to use it —, or throws an error,
+   * if WebGL is not supported or the context cannot be created.
+   *
+   * @param {HTMLCanvasElement} canvas The display canvas.
+   * @param {Object} contextAttributes Attributes of the WebGL context, applied
+   *   only if the shared renderer gets created: `{ alpha, antialias,
+   *   preserveDrawingBuffer, powerPreference }`.
+   */
+  init( canvas, contextAttributes) {
+    if( typeof WebGLRenderingContext === "undefined") {
+      throw new Error( "WebGL is not supported by this browser");
+    }
+    this.context = canvas.getContext( "2d", { alpha: Boolean( contextAttributes.alpha) });
+    if( this.context === null) {
+      throw new Error( "The 2D context of the display canvas cannot be created");
+    }
+    if( typeof shared.renderer === "undefined") {
+      const sharedCanvas = document.createElement( "canvas"),
+            context = createContext( sharedCanvas, contextAttributes);
+      shared.renderer = new WebGLRenderer( Object.assign({ canvas: sharedCanvas, context }, contextAttributes));
+      shared.renderer.info.autoReset = false; // @see `endFrame()`
+      sharedCanvas.addEventListener( "webglcontextlost", onSharedContextLost);
+      sharedCanvas.addEventListener( "webglcontextrestored", onSharedContextRestored);
+    }
+    shared.backends.add( this);
+    this.canvas = canvas;
+    this.renderer = shared.renderer;
+  }
+
+  /**
+   * Requests given callback to be called upon an animation frame, when the
+   * element gets its turn among the elements using the shared renderer.
+   *
+   * @param {Function} callback Called with the time of the animation frame.
+   * @return {number} Identifier of the request, to cancel it.
+   */
+  requestFrame( callback) {
+    return scheduleFrame( callback);
+  }
+
+  /**
+   * Cancels given frame request.
+   *
+   * @param {number} request Identifier of the request.
+   */
+  cancelFrame( request) {
+    cancelScheduledFrame( request);
+  }
+
+  /**
+   * Keeps given renderer settings, to be applied to the shared renderer
+   * before each frame of the element.
+   *
+   * @param {Object} settings @see `ThreeAppWebGLBackend.configure()`.
+   * @return {boolean} True, if the materials must be recompiled (which
+   *   is the case, when the shadows were turned on or off).
+   */
+  configure( settings) {
+    const previous = this.settings;
+    this.settings = Object.assign( {}, settings);
+    return (typeof previous !== "undefined")
+      && ( previous.shadows !== settings.shadows || previous.shadowType !== settings.shadowType);
+  }
+
+  setPixelRatio( ratio) {
+    this.pixelRatio = ratio;
+    this.setSize( this.width, this.height);
+  }
+
+  /**
+   * Sets the size of the display buffer, in CSS pixels — that is, of our
+   * display canvas, in device pixels, without changing its style.
+   */
+  setSize( width, height) {
+    this.width = width;
+    this.height = height;
+    this.canvas.width = Math.floor( width * this.pixelRatio);
+    this.canvas.height = Math.floor( height * this.pixelRatio);
+  }
+
+  getSize() {
+    return { width: this.width, height: this.height };
+  }
+
+  /**
+   * Prepares the shared renderer for a frame of the element: grows its
+   * canvas to fit the display buffer of the element, if needed, and
+   * applies the renderer settings of the element.
+   */
+  beginFrame() {
+    const renderer = this.renderer,
+          size = renderer.getSize(),
+          { width, height } = this.canvas;
+    if( size.width < width || size.height < height) {
+      renderer.setSize( Math.max( size.width, width), Math.max( size.height, height), false);
+    }
+    super.configure( this.settings);
+    this._drawing = true;
+  }
+
+  /**
+   * Renders given scene through given camera, into the region of the shared
+   * canvas which matches the display buffer — as a whole, or given region of
+   * it only —, or into given render target.
+   *
+   * @see `ThreeAppWebGLBackend.render()`
+   */
+  render( scene, camera, viewport, target) {
+    if( !this._drawing) {
+      this.beginFrame();
+    }
+    const renderer = this.renderer;
+    if( typeof target !== "undefined") {
+      renderer.render( scene, camera, target);
+      return;
+    }
+    const ratio = this.pixelRatio,
+          { x, y, width, height } = (typeof viewport !== "undefined")
+            ? viewport : { x: 0, y: 0, width: this.width, height: this.height };
+    // The shared renderer has a pixel ratio of 1, as it is shared with
+    // elements at other pixel ratios: the region is set in device pixels
+    renderer.setViewport( x * ratio, y * ratio, width * ratio, height * ratio);
+    renderer.setScissor( x * ratio, y * ratio, width * ratio, height * ratio);
+    renderer.setScissorTest( true);
+    renderer.render( scene, camera);
+    renderer.setScissorTest( false);
+  }
+
+  /**
+   * Copies the frame which was just rendered to the display canvas,
+   * and keeps its statistics (@see `ThreeAppWebGLBackend.endFrame()`).
+   */
+  endFrame() {
+    if( !this._drawing) { return; }
+    this._drawing = false;
+    scheduler.renders++;
+
+    const source = this.renderer.domElement,
+          { width, height } = this.canvas;
+    if( width > 0 && height > 0) {
+      // The region rendered into is at the top-left of the shared canvas
+      this.context.globalCompositeOperation = "copy";
+      this.context.drawImage( source, 0, 0, width, height, 0, 0, width, height);
+    }
+    super.endFrame();
+  }
+
+  /**
+   * Stops using the shared renderer — which is disposed, and its WebGL
+   * context released, if no other backend uses it anymore.
+   */
+  dispose() {
+    if( typeof this.renderer === "undefined") { return; }
+    shared.backends.delete( this);
+    this.renderer = undefined;
+    this.canvas = undefined;
+    this.context = undefined;
+    this._drawing = false;
+
+    if( shared.backends.size === 0) {
+      const sharedCanvas = shared.renderer.domElement;
+      sharedCanvas.removeEventListener( "webglcontextlost", onSharedContextLost);
+      sharedCanvas.removeEventListener( "webglcontextrestored", onSharedContextRestored);
+      shared.renderer.dispose();
+      shared.renderer.forceContextLoss();
+      shared.renderer = undefined;
+    }
+  }
+}
+
+/**
+ * Renderer backend which draws nothing, but records which scene was rendered
+ * through which camera, at each frame — for the lifecycle of a ‹three-app›
+ * element to run without a GPU, for instance in a headless browser or in
+ * jsdom, and tests to assert on scene/camera switching, registration and
+ * resize logic:
+ *
+ *     app.backend = "recording";
+ *     app.clock = "manual";
+ *     app.advance( 100);
+ *     app.backend.lastFrame; // → [{ scene: "s01", camera: "c01", viewport: undefined, target: undefined }]
+ */
+export class ThreeAppRecordingBackend {
+
+  constructor() {
+    this.type = BackendTypeEnum.recording;
+    this.frames = [];    // Rendered frames; each one an array of the renders it is made of
+    this.settings = {};  // Last renderer settings applied, by `configure()`
+    this.contextAttributes = undefined;
+    this.pixelRatio = 1;
+    this.width = 0;
+    this.height = 0;
+    this._frame = undefined; // Renders of the current frame, until `endFrame()` is called
+  }
+
+  /**
+   * Returns the renders of the last rendered frame, as an array of
+   * `{ scene, camera, viewport, target }` entries (scene and camera
+   * identifiers and render target, taken from the names of the THREE
+   * objects and of the texture of the target).
+   */
+  get lastFrame() {
+    return this.frames[ this.frames.length - 1];
+  }
+
+  init( canvas, contextAttributes) {
+    this.contextAttributes = Object.assign( {}, contextAttributes);
+  }
+
+  configure( settings) {
+    this.settings = Object.assign( {}, settings);
+    return false;
+  }
+
+  setPixelRatio( ratio) {
+    this.pixelRatio = ratio;
+  }
+
+  setSize( width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  getSize() {
+    return { width: this.width, height: this.height };
+  }
+
+  render( scene, camera, viewport, target) {
+    if( typeof this._frame === "undefined") {
+      this._frame = [];
+      this.frames.push( this._frame);
+    }
+    this._frame.push({
+      scene: scene.name,
+      camera: camera.name,
+      viewport: (typeof viewport !== "undefined") ? Object.assign( {}, viewport) : undefined,
+      target: (typeof target !== "undefined") ? target.texture.name : undefined
+    });
+  }
+
+  /**
+   * Closes the current frame; called by the ‹three-app› element, once
+   * all viewports of a frame were rendered.
+   */
+  endFrame() {
+    this._frame = undefined;
+  }
+
+  /**
+   * Forgets the recorded frames.
+   */
+  clear() {
+    this.frames = [];
+    this._frame = undefined;
+  }
+
+  dispose() {
+    this.clear();
+  }
+}
+
+/**
+ * Returns a new renderer backend of given type.
+ *
+ * @param {string} type One of the values of `BackendTypeEnum`.
+ */
+export function createBackend( type) {
+  switch( type) {
+    case BackendTypeEnum.shared: return new ThreeAppSharedBackend();
+    case BackendTypeEnum.recording: return new ThreeAppRecordingBackend();
+    default: return new ThreeAppWebGLBackend();
+  }
+}
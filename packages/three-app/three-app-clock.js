@@ -0,0 +1,100 @@
+export const ClockTypeEnum = Object.freeze({
+  realTime: "real-time",
+  scaled: "scaled",
+  manual: "manual"
+});
+
+export const Default = Object.freeze({
+  timeScale: 1.0
+});
+
+/**
+ * Real-time clock, which provides the time of the animation of a ‹three-app›
+ * element: the default clock.
+ *
+ * A clock provides the _virtual_ time, that the scenes, cameras and objects
+ * receive in their `step( time, delta)` methods. The ‹three-app› element
+ * calls `tick( realTime, realDelta)` once per animation frame, and expects
+ * the virtual time of that frame in return.
+ *
+ * Custom clocks can be plugged in a ‹three-app› element, as objects which
+ * provide a `type` and `time` property, as well as a `tick()` method — and
+ * an `advance()` method, for clocks of type `manual`.
+ */
+export class ThreeAppClock {
+
+  constructor( type = ClockTypeEnum.realTime) {
+    this.type = type;
+    this.time = undefined;   // Virtual time, in ms; starts at the real time of the first frame
+    this.timeScale = 1.0;    // Ratio of the virtual time elapsed, to the real time elapsed
+  }
+
+  /**
+   * Advances the clock, upon a new animation frame, by the real time elapsed
+   * since the last frame, scaled by the time scale — and returns the new
+   * virtual time. The time elapsed while the animation was suspended
+   * does not count, as `realDelta` is then one frame interval.
+   *
+   * @param {number} realTime The current time; a high-resolution timer value,
+   *   as it comes from `window.requestAnimationFrame()`.
+   * @param {number} realDelta The real time elapsed since the last frame, in ms.
+   * @return {number} The virtual time of the frame, in ms.
+   */
+  tick( realTime, realDelta) {
+    this.time = (typeof this.time === "undefined")
+      ? realTime : this.time + realDelta * this.timeScale;
+    return this.time;
+  }
+}
+
+/**
+ * Clock which runs slower or faster than real time, by the `timeScale`
+ * factor — for slow motion (< 1.0) and fast-forward (> 1.0).
+ */
+export class ThreeAppScaledClock extends ThreeAppClock {
+
+  constructor( timeScale = Default.timeScale) {
+    super( ClockTypeEnum.scaled);
+    this.timeScale = timeScale;
+  }
+}
+
+/**
+ * Clock which only advances when told so, by calls to `advance()` — for
+ * deterministic playback, independent of the actual frame rate. The
+ * ‹three-app› element does not run its animation loop with this clock.
+ */
+export class ThreeAppManualClock extends ThreeAppClock {
+
+  constructor() {
+    super( ClockTypeEnum.manual);
+    this.time = 0;
+  }
+
+  tick( /* realTime, realDelta */) {
+    return this.time;
+  }
+
+  /**
+   * Advances the clock by given delta time, and returns the new virtual time.
+   * @param {number} delta Time to advance by, in ms.
+   */
+  advance( delta) {
+    this.time += delta;
+    return this.time;
+  }
+}
+
+/**
+ * Returns a new clock of given type.
+ *
+ * @param {string} type One of the values of `ClockTypeEnum`.
+ * @param {number} timeScale Time scale, for a clock of type `scaled`.
+ */
+export function createClock( type, timeScale) {
+  switch( type) {
+    case ClockTypeEnum.scaled: return new ThreeAppScaledClock( timeScale);
+    case ClockTypeEnum.manual: return new ThreeAppManualClock();
+    default: return new ThreeAppClock();
+  }
+}
@@ -0,0 +1,61 @@
+export const KeyActionEnum = Object.freeze({
+  nextCamera: "next-camera",
+  previousCamera: "previous-camera",
+  nextScene: "next-scene",
+  previousScene: "previous-scene",
+  camera: "camera",  // followed by the position of the camera, such as `camera-2`
+  scene: "scene"     // followed by the position of the scene, such as `scene-2`
+});
+
+export const Default = Object.freeze({
+  bindings: Object.freeze({
+    "c": KeyActionEnum.nextCamera,
+    "Shift+C": KeyActionEnum.previousCamera,
+    "s": KeyActionEnum.nextScene,
+    "Shift+S": KeyActionEnum.previousScene,
+    "1": `${KeyActionEnum.camera}-1`, "2": `${KeyActionEnum.camera}-2`, "3": `${KeyActionEnum.camera}-3`,
+    "4": `${KeyActionEnum.camera}-4`, "5": `${KeyActionEnum.camera}-5`, "6": `${KeyActionEnum.camera}-6`,
+    "7": `${KeyActionEnum.camera}-7`, "8": `${KeyActionEnum.camera}-8`, "9": `${KeyActionEnum.camera}-9`
+  })
+});
+
+// Modifiers of the key combinations, in their canonical order
+const Modifiers = Object.freeze([ "Ctrl", "Alt", "Meta", "Shift" ]);
+
+// Returns given key combination, with its modifiers in canonical order and
+// its key lowercased, if a single character — `Shift+C` becoming `Shift+c`
+function canonicalize( modifiers, key) {
+  const name = (key.length === 1) ? key.toLowerCase() : key;
+  return Modifiers.filter(( modifier) => modifiers.includes( modifier))
+    .concat( name).join( "+");
+}
+
+/**
+ * Parses given key bindings — an Object mapping key combinations, such as
+ * `c`, `Shift+C` or `Ctrl+ArrowRight`, to actions (@see `KeyActionEnum`) —
+ * into a Map, keyed by canonical key combinations (@see `keyOf()`).
+ *
+ * @param {Object} bindings The key bindings.
+ * @return {Map} The actions, keyed by canonical key combinations.
+ */
+export function parseKeyBindings( bindings) {
+  return new Map( Object.keys( bindings || {}).map(( combination) => {
+    const [ , prefix, key ] = /^((?:\w+\+)*)(.+)$/.exec( combination),
+          modifiers = prefix.split( "+")
+            .map(( part) => part.charAt( 0).toUpperCase() + part.slice( 1).toLowerCase());
+    return [ canonicalize( modifiers, key), bindings[ combination] ];
+  }));
+}
+
+/**
+ * Returns the canonical key combination of given keyboard event, such as
+ * `c`, `Shift+c` or `Ctrl+ArrowRight`.
+ *
+ * @param {KeyboardEvent} event
+ */
+export function keyOf( event) {
+  const modifiers = [
+    event.ctrlKey && "Ctrl", event.altKey && "Alt",
+    event.metaKey && "Meta", event.shiftKey && "Shift" ];
+  return canonicalize( modifiers, event.key);
+}
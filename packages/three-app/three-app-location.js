@@ -0,0 +1,98 @@
+export const Default = Object.freeze({
+  precision: 3   // decimals of the coordinates written to the URL hash
+});
+
+// Keys of the parameters of the URL hash, which describe the view
+const Keys = Object.freeze({
+  scene: "scene",
+  camera: "camera",
+  position: "position",
+  lookAt: "look-at",
+  zoom: "zoom"
+});
+
+// Encodes a key or value of the URL hash, keeping the commas of the vectors readable
+function encode( str) {
+  return encodeURIComponent( str).replace( /%2C/g, ",");
+}
+
+// Returns the `[ key, value ]` pairs of the parameters of given URL hash,
+// in order; the value is undefined, for a parameter without `=`
+function parseParams( hash) {
+  return String( hash || "").replace( /^#/, "").split( "&")
+    .filter(( param) => param !== "")
+    .map(( param) => {
+      const index = param.indexOf( "=");
+      return (index < 0)
+        ? [ decodeURIComponent( param), undefined ]
+        : [ decodeURIComponent( param.slice( 0, index)), decodeURIComponent( param.slice( index + 1)) ];
+    });
+}
+
+// Parses a vector, such as `1.5,-2,0`, into `[ x, y, z ]` — or undefined
+function parseVector( value) {
+  const coords = String( value || "").split( ",").map( parseFloat);
+  return (coords.length === 3 && coords.every( isFinite)) ? coords : undefined;
+}
+
+// Formats a number, rounded to `Default.precision` decimals — or undefined
+function formatNumber( value) {
+  return (typeof value === "number" && isFinite( value))
+    ? String( parseFloat( value.toFixed( Default.precision))) : undefined;
+}
+
+// Formats a vector `[ x, y, z ]`, such as `1.5,-2,0` — or undefined
+function formatVector( vector) {
+  return Array.isArray( vector) ? vector.map( formatNumber).join( ",") : undefined;
+}
+
+/**
+ * Parses the view of a ‹three-app› element — its active scene and camera,
+ * and the viewpoint of the camera — from given URL hash, such as
+ * `#scene=s01&camera=c01&position=0,-5,2&look-at=0,0,0&zoom=1`.
+ *
+ * @param {string} hash The URL hash, with or without its leading `#`.
+ * @return {Object} `{ scene, camera, position, lookAt, zoom }`, each of
+ *   them being undefined, if missing from the hash or invalid.
+ */
+export function parseLocation( hash) {
+  const params = new Map( parseParams( hash)),
+        zoom = parseFloat( params.get( Keys.zoom));
+  return {
+    scene: params.get( Keys.scene) || undefined,
+    camera: params.get( Keys.camera) || undefined,
+    position: parseVector( params.get( Keys.position)),
+    lookAt: parseVector( params.get( Keys.lookAt)),
+    zoom: isFinite( zoom) ? zoom : undefined
+  };
+}
+
+/**
+ * Formats the view of a ‹three-app› element into given URL hash, replacing
+ * the parameters which describe the view, and keeping any other parameter
+ * — for the hash to be shared with other uses of the page.
+ *
+ * @param {string} hash The current URL hash.
+ * @param {Object} location `{ scene, camera, position, lookAt, zoom }`,
+ *   undefined values being omitted from the hash.
+ * @return {string} The new URL hash, with its leading `#`.
+ */
+export function formatLocation( hash, { scene, camera, position, lookAt, zoom }) {
+  const keys = Object.values( Keys),
+        params = parseParams( hash).filter(([ key ]) => !keys.includes( key)),
+        values = [
+          [ Keys.scene, scene ],
+          [ Keys.camera, camera ],
+          [ Keys.position, formatVector( position) ],
+          [ Keys.lookAt, formatVector( lookAt) ],
+          [ Keys.zoom, formatNumber( zoom) ]
+        ];
+  values.forEach(([ key, value ]) => {
+    if( typeof value !== "undefined") {
+      params.push([ key, value ]);
+    }
+  });
+  return "#" + params
+    .map(([ key, value ]) => (typeof value === "undefined") ? encode( key) : `${encode( key)}=${encode( value)}`)
+    .join( "&");
+}
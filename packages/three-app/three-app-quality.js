@@ -0,0 +1,112 @@
+export const Default = Object.freeze({
+  scales: [ 1, 0.75, 0.5, 0.35 ], // Scale factors of the pixel ratio, from the highest quality level to the lowest
+  interval: 1000,        // ms of frames measured, before adapting the quality level
+  lowerThreshold: 0.9,   // Lower the quality, when the actual frame rate is below 90% of the desired one
+  headroom: 0.5,         // Raise the quality, when a frame takes less than half of the frame interval to update and render…
+  raiseAfter: 3,         // …during that many intervals in a row
+  maxRaiseAfter: 60      // Upper bound of the count of intervals, which doubles each time a raise had to be reverted
+});
+
+/**
+ * Adaptive quality controller of a ‹three-app› element, which lowers the
+ * quality level — that is, the pixel ratio of its renderer — step by step,
+ * as long as the actual frame rate stays below the desired one, and raises
+ * it again, when there is headroom.
+ *
+ * The headroom is measured as the time spent by the element to update and
+ * render each frame, compared to the frame interval. As this time does not
+ * account for the work of the GPU, a raise of the quality which makes the
+ * frame rate drop again is reverted, and the next raise waits for twice as
+ * long — for the level not to oscillate.
+ */
+export class ThreeAppQuality {
+
+  constructor() {
+    this.level = 0;                  // Index of the current quality level in `Default.scales`
+    this._raiseAfter = Default.raiseAfter;
+    this._raised = false;            // Whether the level was raised at the end of the last interval
+    this.reset();
+  }
+
+  /**
+   * Getter which returns the scale factor of the pixel ratio,
+   * at the current quality level.
+   */
+  get scale() {
+    return Default.scales[ this.level];
+  }
+
+  /**
+   * Restarts the measurement of the frames — for instance, when the
+   * animation loop resumes, after it was suspended.
+   */
+  reset() {
+    this._frames = 0;
+    this._elapsed = 0;
+    this._work = 0;
+    this._headroomIntervals = 0;
+  }
+
+  /**
+   * Records the timings of a frame and adapts the quality level, once
+   * enough frames were measured.
+   *
+   * @param {number} frameTime Time elapsed since the previous frame, in ms.
+   * @param {number} workTime Time spent to update and render the frame, in ms.
+   * @param {number} targetFrameTime Desired time between two frames, in ms.
+   * @return {boolean} True, if the quality level changed.
+   */
+  sample( frameTime, workTime, targetFrameTime) {
+    this._frames++;
+    this._elapsed += frameTime;
+    this._work += workTime;
+    if( this._elapsed < Default.interval) {
+      return false;
+    }
+
+    const averageFrameTime = this._elapsed / this._frames,
+          averageWorkTime = this._work / this._frames;
+    this._frames = 0;
+    this._elapsed = 0;
+    this._work = 0;
+
+    const raised = this._raised;
+    this._raised = false;
+
+    if( averageFrameTime * Default.lowerThreshold > targetFrameTime) {
+      this._headroomIntervals = 0;
+      if( this.level < Default.scales.length - 1) {
+        if( raised) {
+          // The last raise was too optimistic: wait longer for the next one
+          this._raiseAfter = Math.min( this._raiseAfter * 2, Default.maxRaiseAfter);
+        }
+        this.level++;
+        return true;
+      }
+    } else if( averageWorkTime < targetFrameTime * Default.headroom) {
+      this._headroomIntervals++;
+      if( this.level > 0 && this._headroomIntervals >= this._raiseAfter) {
+        this._headroomIntervals = 0;
+        this.level--;
+        this._raised = true;
+        return true;
+      }
+    } else {
+      this._headroomIntervals = 0;
+    }
+    return false;
+  }
+
+  /**
+   * Restores the highest quality level.
+   * @return {boolean} True, if the quality level changed.
+   */
+  restore() {
+    const changed = (this.level !== 0);
+    this.level = 0;
+    this._raiseAfter = Default.raiseAfter;
+    this._raised = false;
+    this.reset();
+    return changed;
+  }
+}
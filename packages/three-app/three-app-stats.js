@@ -0,0 +1,145 @@
+import { LitElement, html, css } from "lit-element";
+
+export const Default = Object.freeze({
+  interval: 250,     // ms between two refreshes of the overlay
+  samples: 120,      // count of frame times shown by the graph
+  maxFrameTime: 50   // ms, frame time at the top of the graph
+});
+
+// Returns given number formatted with given digits, or a dash if undefined
+function format( value, digits = 0) {
+  return (typeof value === "number" && isFinite( value)) ? value.toFixed( digits) : "–";
+}
+
+/**
+ * Performance overlay of a ‹three-app› element, displayed when its `stats`
+ * attribute is set: a graph of the frame times, the desired and actual FPS,
+ * the pixel ratio, the active camera and scene, the statistics of the renderer (draw calls,
+ * triangles, geometries and textures) and the JS heap use.
+ *
+ * The ‹three-app› element feeds it with the time of each frame, by calling
+ * `sample()`; the overlay refreshes at a throttled rate only — every
+ * `interval` ms —, reading the other statistics from its `source` element
+ * (@see `ThreeApp.getStats()`).
+ */
+export class ThreeAppStats extends LitElement {
+
+  static get styles() {
+    return css`
+      :host { display: block; font: 11px/1.4 monospace; color: white;
+        background: rgba( 0, 0, 0, 0.6); padding: 0.5em }
+      :host([ hidden]) { display: none }
+      canvas { display: block; width: 100%; height: 40px }
+      dl { display: grid; grid-template-columns: auto auto; margin: 0.5em 0 0 }
+      dt, dd { margin: 0 }
+      dd { text-align: right }
+    `;
+  }
+
+  render() {
+    const stats = this._stats || {},
+          info = stats.renderer || {},
+          heap = stats.heap;
+    return html`
+      <canvas id="graph" width="${Default.samples}" height="40"></canvas>
+      <dl>
+        <dt>FPS</dt><dd>${format( stats.actualFps)} / ${format( stats.fps)}</dd>
+        <dt>Frame time</dt><dd>${format( stats.frameTime, 2)} ms</dd>
+        <dt>Pixel ratio</dt><dd>${format( stats.pixelRatio, 2)}</dd>
+        <dt>Camera</dt><dd>${stats.camera || "–"}</dd>
+        <dt>Scene</dt><dd>${stats.scene || "–"}</dd>
+        <dt>Draw calls</dt><dd>${format( info.calls)}</dd>
+        <dt>Triangles</dt><dd>${format( info.triangles)}</dd>
+        <dt>Geometries</dt><dd>${format( info.geometries)}</dd>
+        <dt>Textures</dt><dd>${format( info.textures)}</dd>
+        <dt>JS heap</dt><dd>${heap ? `${format( heap.used / 1048576, 1)} / ${format( heap.limit / 1048576)} MB` : "–"}</dd>
+      </dl>`;
+  }
+
+  static get properties() {
+    return {
+      interval: { type: Number, reflect: true } // ms between two refreshes of the overlay
+    };
+  }
+
+  constructor() {
+    // Must call superconstructor first.
+    super();
+
+    // Initialize private properties
+    this._samples = new Float32Array( Default.samples); // Ring buffer of the last frame times
+    this._index = 0;                // Index of the next sample in the ring buffer
+    this._lastRefresh = undefined;  // Time of the last refresh of the overlay
+    this._stats = undefined;        // Statistics displayed by the overlay, read upon refresh
+
+    // Initialize public properties
+    this.source = undefined;        // Element providing the statistics, with a `getStats()` method
+    this.interval = Default.interval;
+  }
+
+  /**
+   * Records the time of a frame, and refreshes the overlay, if the
+   * refresh interval elapsed since the last refresh.
+   *
+   * @param {number} frameTime Time elapsed since the previous frame, in ms.
+   */
+  sample( frameTime) {
+    this._samples[ this._index] = frameTime;
+    this._index = (this._index + 1) % this._samples.length;
+
+    const now = performance.now();
+    if( typeof this._lastRefresh === "undefined" || now - this._lastRefresh >= this.interval) {
+      this._lastRefresh = now;
+      this.refresh();
+    }
+  }
+
+  /**
+   * Reads the statistics from the source element and the browser,
+   * and requests the overlay to be rendered anew.
+   */
+  refresh() {
+    const memory = performance.memory; // Non-standard, only available in Chrome
+    this._stats = Object.assign(
+      {}, this.source ? this.source.getStats() : {},
+      { heap: memory ? { used: memory.usedJSHeapSize, limit: memory.jsHeapSizeLimit } : undefined });
+    this.requestUpdate();
+  }
+
+  updated() {
+    this.drawGraph();
+  }
+
+  /**
+   * Draws the frame times as a bar graph, oldest first, along with
+   * a line at the target frame time of the source element.
+   */
+  drawGraph() {
+    const canvas = this.shadowRoot.getElementById( "graph"),
+          context = canvas.getContext( "2d"),
+          { width, height } = canvas,
+          samples = this._samples,
+          scale = height / Default.maxFrameTime;
+
+    context.clearRect( 0, 0, width, height);
+    context.fillStyle = "#0f0";
+    for( let i = 0; i < samples.length; i++) {
+      const frameTime = samples[ (this._index + i) % samples.length],
+            barHeight = Math.min( frameTime * scale, height);
+      context.fillRect( i, height - barHeight, 1, barHeight);
+    }
+
+    const targetTime = this._stats && this._stats.targetFrameTime;
+    if( typeof targetTime === "number") {
+      const y = Math.round( height - Math.min( targetTime * scale, height)) + 0.5;
+      context.strokeStyle = "#ff0";
+      context.beginPath();
+      context.moveTo( 0, y);
+      context.lineTo( width, y);
+      context.stroke();
+    }
+  }
+}
+
+// Register the element with the browser
+customElements.define( "three-app-stats", ThreeAppStats);
@@ -0,0 +1,193 @@
+import {
+  WebGLRenderTarget, ShaderMaterial, PlaneBufferGeometry, Mesh,
+  Scene, OrthographicCamera, Vector2
+} from "three";
+
+export const TransitionTypeEnum = Object.freeze({
+  cut: "cut",
+  crossfade: "crossfade",
+  wipeLeft: "wipe-left",
+  wipeRight: "wipe-right",
+  wipeUp: "wipe-up",
+  wipeDown: "wipe-down"
+});
+
+export const Default = Object.freeze({
+  type: TransitionTypeEnum.cut,
+  duration: 500 // ms
+});
+
+// Direction in which the edge of each wipe moves across the display (in UV
+// coordinates), and width of the soft edge, as a fraction of the display
+const WipeDirections = Object.freeze({
+  [ TransitionTypeEnum.wipeLeft]: [ -1, 0 ],
+  [ TransitionTypeEnum.wipeRight]: [ 1, 0 ],
+  [ TransitionTypeEnum.wipeUp]: [ 0, 1 ],
+  [ TransitionTypeEnum.wipeDown]: [ 0, -1 ]
+});
+const WIPE_EDGE = 0.02;
+
+const vertexShader = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4( position.xy, 0.0, 1.0 );
+  }`;
+
+const fragmentShader = `
+  uniform sampler2D tFrom;
+  uniform sampler2D tTo;
+  uniform float progress;
+  uniform bool wipe;
+  uniform vec2 direction;
+  uniform float edge;
+  varying vec2 vUv;
+  void main() {
+    float amount = progress;
+    if( wipe ) {
+      // Position along the direction of the wipe, from 0 (first revealed) to 1
+      float position = dot( vUv - 0.5, direction ) + 0.5;
+      amount = clamp(( progress * ( 1.0 + edge ) - position ) / edge, 0.0, 1.0 );
+    }
+    gl_FragColor = linearToOutputTexel( mix( texture2D( tFrom, vUv ), texture2D( tTo, vUv ), amount ));
+  }`;
+
+/**
+ * Parses the value of the `transition` attribute of a ‹three-app› element,
+ * such as `crossfade 800ms` or `wipe-left 0.5s`, into its type and duration
+ * (in ms); the duration defaults to `Default.duration`, if omitted.
+ *
+ * @param {string} value The value of the attribute.
+ * @return {Object} `{ type, duration }`, with the `cut` type if the value
+ *   is undefined or cannot be parsed.
+ */
+export function parseTransition( value) {
+  const match = /^\s*([a-z0-9-]+)(?:\s+(\d*\.?\d+)\s*(ms|s)?)?\s*$/.exec( value || "");
+  const types = Object.values( TransitionTypeEnum);
+  if( match === null || !types.includes( match[ 1])) {
+    return { type: Default.type, duration: 0 };
+  }
+  const [ , type, amount, unit ] = match,
+        duration = (typeof amount === "undefined") ? Default.duration
+          : parseFloat( amount) * (unit === "s" ? 1000 : 1);
+  return { type, duration };
+}
+
+/**
+ * Transition of a ‹three-app› element, from an outgoing scene and camera
+ * pair to the active one: both pairs are rendered into render targets, which
+ * are then blended over the display by a full-screen quad — either crossfaded,
+ * or wiped in a direction.
+ *
+ * The element renders the `fromTarget`, the `toTarget`, then the `scene`
+ * of the transition through its `camera`, with its renderer backend.
+ */
+export class ThreeAppTransition {
+
+  constructor() {
+    this.type = Default.type;
+    this.duration = 0;          // ms
+    this.fromScene = undefined; // Outgoing ‹three-scene› element
+    this.fromCamera = undefined; // Outgoing ‹three-camera› element
+    this.startTime = undefined; // Virtual time of the first frame of the transition
+    this.running = false;
+
+    this.fromTarget = new WebGLRenderTarget( 1, 1);
+    this.fromTarget.texture.name = "transition-from";
+    this.toTarget = new WebGLRenderTarget( 1, 1);
+    this.toTarget.texture.name = "transition-to";
+
+    this.material = new ShaderMaterial({
+      uniforms: {
+        tFrom: { value: this.fromTarget.texture },
+        tTo: { value: this.toTarget.texture },
+        progress: { value: 0 },
+        wipe: { value: false },
+        direction: { value: new Vector2() },
+        edge: { value: WIPE_EDGE }
+      },
+      vertexShader, fragmentShader,
+      depthTest: false, depthWrite: false
+    });
+    this.geometry = new PlaneBufferGeometry( 2, 2);
+    this.scene = new Scene();
+    this.scene.name = "transition";
+    this.scene.add( new Mesh( this.geometry, this.material));
+    this.camera = new OrthographicCamera( -1, 1, 1, -1, 0, 1);
+    this.camera.name = "transition";
+  }
+
+  /**
+   * Starts a transition from given scene and camera elements, which
+   * will begin upon the next rendered frame.
+   *
+   * @param {string} type One of the values of `TransitionTypeEnum`.
+   * @param {number} duration Duration of the transition, in ms.
+   * @param {ThreeScene} fromScene The outgoing ‹three-scene› element.
+   * @param {ThreeCamera} fromCamera The outgoing ‹three-camera› element.
+   */
+  start( type, duration, fromScene, fromCamera) {
+    this.type = type;
+    this.duration = duration;
+    this.fromScene = fromScene;
+    this.fromCamera = fromCamera;
+    this.startTime = undefined;
+    this.running = true;
+
+    const direction = WipeDirections[ type];
+    this.material.uniforms.wipe.value = (typeof direction !== "undefined");
+    if( typeof direction !== "undefined") {
+      this.material.uniforms.direction.value.fromArray( direction);
+    }
+  }
+
+  /**
+   * Ends the transition, and forgets the outgoing scene and camera.
+   */
+  stop() {
+    this.running = false;
+    this.fromScene = undefined;
+    this.fromCamera = undefined;
+    this.startTime = undefined;
+  }
+
+  /**
+   * Updates the progress of the transition, from the virtual time of
+   * the frame being rendered.
+   *
+   * @param {number} time The virtual time of the frame, in ms.
+   * @return {number} The progress of the transition, in range [0, 1].
+   */
+  update( time) {
+    if( typeof this.startTime === "undefined") {
+      this.startTime = time;
+    }
+    const progress = (this.duration > 0)
+      ? Math.min( Math.max(( time - this.startTime) / this.duration, 0), 1) : 1;
+    this.material.uniforms.progress.value = progress;
+    return progress;
+  }
+
+  /**
+   * Sets the size of the render targets, in device pixels.
+   */
+  setSize( width, height) {
+    width = Math.max( 1, Math.round( width));
+    height = Math.max( 1, Math.round( height));
+    if( this.fromTarget.width !== width || this.fromTarget.height !== height) {
+      this.fromTarget.setSize( width, height);
+      this.toTarget.setSize( width, height);
+    }
+  }
+
+  /**
+   * Releases the resources of the render targets and of the blending quad,
+   * which get re-created upon next use.
+   */
+  dispose() {
+    this.fromTarget.dispose();
+    this.toTarget.dispose();
+    this.material.dispose();
+    this.geometry.dispose();
+  }
+}
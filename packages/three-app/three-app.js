@@ -1,12 +1,164 @@
 import { LitElement, html, css } from "lit-element";
 import { Events as CameraEvents } from "@petitatelier/three-camera";
 import { Events as SceneEvents } from "@petitatelier/three-scene";
-import { WebGLRenderer } from "three";
+import { Events as ObjectEvents } from "@petitatelier/three-object";
+import { Events as RendererEvents } from "@petitatelier/three-renderer";
+import { ClockTypeEnum, Default as ClockDefault, createClock } from "@petitatelier/three-app/three-app-clock";
+import { BackendTypeEnum, createBackend } from "@petitatelier/three-app/three-app-backend";
+import { TransitionTypeEnum, ThreeAppTransition, parseTransition } from "@petitatelier/three-app/three-app-transition";
+import { ThreeAppQuality } from "@petitatelier/three-app/three-app-quality";
+import { parseLocation, formatLocation } from "@petitatelier/three-app/three-app-location";
+import { KeyActionEnum, Default as KeysDefault, parseKeyBindings, keyOf } from "@petitatelier/three-app/three-app-keys";
+import "@petitatelier/three-app/three-app-stats";
+import {
+  NoToneMapping, LinearToneMapping, ReinhardToneMapping,
+  Uncharted2ToneMapping, CineonToneMapping, ACESFilmicToneMapping,
+  BasicShadowMap, PCFShadowMap, PCFSoftShadowMap
+} from "three";
+
+export const RenderModeEnum = Object.freeze({
+  continuous: "continuous",
+  onDemand: "on-demand"
+});
+
+export const ToneMappingEnum = Object.freeze({
+  none: "none",
+  linear: "linear",
+  reinhard: "reinhard",
+  uncharted2: "uncharted2",
+  cineon: "cineon",
+  acesFilmic: "aces-filmic"
+});
+
+export const OutputEncodingEnum = Object.freeze({
+  linear: "linear",
+  sRGB: "srgb"
+});
+
+export const ShadowTypeEnum = Object.freeze({
+  basic: "basic",
+  pcf: "pcf",
+  pcfSoft: "pcf-soft"
+});
+
+export const Events = Object.freeze({
+  frameExported: "frame-exported",
+  contextLost: "context-lost",
+  contextRestored: "context-restored",
+  unsupported: "unsupported",
+  started: "started",
+  stopped: "stopped",
+  frameStart: "frame-start",
+  frameEnd: "frame-end",
+  resize: "resize",
+  sceneChanged: "scene-changed",
+  cameraChanged: "camera-changed",
+  transitionStart: "transition-start",
+  transitionEnd: "transition-end",
+  qualityChanged: "quality-changed",
+  leakReport: "leak-report"
+});
 
 export const Default = Object.freeze({
-  fps: 60
+  fps: 60,
+  clock: ClockTypeEnum.realTime,
+  backend: BackendTypeEnum.webgl,
+  renderMode: RenderModeEnum.continuous,
+  simulationRate: undefined, // variable timestep, bound to the frame rate
+  maxCatchUpSteps: 5,        // max. fixed timesteps simulated per frame, when frames are late
+  viewDelay: 250,            // ms without changes of the view, before it is described and mirrored into the URL hash
+  label: "3D view",          // accessible name of the canvas
+  renderer: {
+    // WebGL context attributes — changing them recreates the renderer
+    alpha: false,
+    antialias: true,
+    preserveDrawingBuffer: false,
+    powerPreference: "default", // or `high-performance` or `low-power`
+    // Renderer settings — changing them reconfigures the renderer
+    pixelRatio: null,  // the device pixel ratio, tracked as it changes
+    maxPixelRatio: 2,
+    clearColor: "#000000",
+    clearAlpha: 1,
+    toneMapping: ToneMappingEnum.linear,
+    toneMappingExposure: 1,
+    outputEncoding: OutputEncodingEnum.linear,
+    shadows: false,
+    shadowType: ShadowTypeEnum.pcf
+  },
+  capture: {
+    type: "image/png",
+    filenamePrefix: "frame-"
+  }
 });
 
+// Mappings of the enumerated attribute values to THREE constants
+const ToneMappings = Object.freeze({
+  [ ToneMappingEnum.none]: NoToneMapping,
+  [ ToneMappingEnum.linear]: LinearToneMapping,
+  [ ToneMappingEnum.reinhard]: ReinhardToneMapping,
+  [ ToneMappingEnum.uncharted2]: Uncharted2ToneMapping,
+  [ ToneMappingEnum.cineon]: CineonToneMapping,
+  [ ToneMappingEnum.acesFilmic]: ACESFilmicToneMapping
+});
+const ShadowTypes = Object.freeze({
+  [ ShadowTypeEnum.basic]: BasicShadowMap,
+  [ ShadowTypeEnum.pcf]: PCFShadowMap,
+  [ ShadowTypeEnum.pcfSoft]: PCFSoftShadowMap
+});
+
+// Properties which define the attributes of the WebGL context, that can only
+// be set upon creation of the renderer; and those which can be reconfigured
+const CONTEXT_PROPERTIES = [ "alpha", "antialias", "preserveDrawingBuffer", "powerPreference" ];
+const RENDERER_PROPERTIES = [
+  "pixelRatio", "maxPixelRatio", "clearColor", "clearAlpha", "toneMapping", "toneMappingExposure",
+  "outputEncoding", "shadows", "shadowType" ];
+
+// Converter of a boolean attribute that defaults to true, which can be
+// turned off with a `false` value (for instance, `antialias="false"`)
+const booleanDefaultTrue = Object.freeze({
+  fromAttribute: ( value) => value !== "false",
+  toAttribute: ( value) => value ? "" : "false"
+});
+
+// Returns given value, or given default value if it is null or undefined
+// (which Lit-Element sets, when an attribute is removed)
+function orDefault( value, defaultValue) {
+  return (value === null || typeof value === "undefined") ? defaultValue : value;
+}
+
+// Returns the key following given key (or preceding it, for a negative
+// offset) among the keys of given Map, wrapping around — or its first key,
+// if given key is not found; and undefined, if the Map is empty
+function cycle( map, key, offset) {
+  const keys = Array.from( map.keys()),
+        index = keys.indexOf( key);
+  if( keys.length === 0) { return undefined; }
+  if( index < 0) { return keys[ 0]; }
+  return keys[ (index + offset % keys.length + keys.length) % keys.length];
+}
+
+// Returns a promise of the image of given canvas, as a Blob
+function canvasToBlob( canvas, type, quality) {
+  return new Promise(( resolve) => canvas.toBlob( resolve, type, quality));
+}
+
+/**
+ *
+ * @fires: CustomEvent( "frame-exported")
+ * @fires: CustomEvent( "context-lost")
+ * @fires: CustomEvent( "context-restored")
+ * @fires: CustomEvent( "unsupported")
+ * @fires: CustomEvent( "started")
+ * @fires: CustomEvent( "stopped")
+ * @fires: CustomEvent( "frame-start")
+ * @fires: CustomEvent( "frame-end")
+ * @fires: CustomEvent( "resize")
+ * @fires: CustomEvent( "scene-changed")
+ * @fires: CustomEvent( "camera-changed")
+ * @fires: CustomEvent( "transition-start")
+ * @fires: CustomEvent( "transition-end")
+ * @fires: CustomEvent( "quality-changed")
+ */
 export class ThreeApp extends LitElement {
 
   static get styles() {
@@ -14,25 +166,30 @@ export class ThreeApp extends LitElement {
       :host { position: relative }
       :host([ hidden]) { display: none }
       #display { width: 100% }
-      #info { position: absolute; top: 1em; right: 1em; color: white }
-      #info > * { margin: 0 0 1em }
+      #info { position: absolute; top: 1em; right: 1em; color: white; min-width: 16em }
+      #info[ hidden] { display: none }
+      #fallback { display: none }
+      :host([ unsupported]) #fallback { display: block }
+      :host([ unsupported]) #display,
+      :host([ unsupported]) #info { display: none }
+      .visually-hidden { position: absolute; width: 1px; height: 1px; overflow: hidden;
+        clip: rect( 0 0 0 0); white-space: nowrap }
     `;
   }
 
   render() {
-    const cameraRepr = this.camera ? this.camera.toString() : "(undefined)",
-          sceneRepr = this.scene ? this.scene.toString() : "(undefined)",
-          intervalRepr = this._intervalActual ? (+this._intervalActual).toFixed( 2) : "(undefined)";
-
     return html`
-      <div id="info">
-        <p>Desired: ${this.fps} FPS (a frame about every ${this._interval} ms)<br/>
-          Actual: ${this._fpsActual} FPS (a frame about every ${intervalRepr} ms)</p>
-        <p>Active camera: ${cameraRepr}</br>
-          Active scene: ${sceneRepr}</p>
+      <div id="info" ?hidden=${!this.stats}>
+        <three-app-stats id="stats" .source=${this}></three-app-stats>
         <slot></slot>
       </div>
-      <canvas id="display"></canvas>
+      <canvas id="display" tabindex="0" role="img"
+        aria-labelledby="label" aria-describedby="description"></canvas>
+      <div id="label" class="visually-hidden">${orDefault( this.label, Default.label)}</div>
+      <div id="description" class="visually-hidden" aria-live="polite">${this._description}</div>
+      <div id="fallback">
+        <slot name="fallback"></slot>
+      </div>
     `;
   }
 
@@ -43,10 +200,65 @@ export class ThreeApp extends LitElement {
     return {
       /** Desired FPS */
       fps: { type: Number, reflect: true },
+      /** Either `real-time`, `scaled` or `manual` — or a custom clock object (@see `ThreeAppClock`) */
+      clock: { type: String },
+      /** Ratio of the virtual time elapsed, to the real time elapsed, with a `scaled` clock */
+      timeScale: { type: Number, reflect: true, attribute: "time-scale" },
+      /** Fixed simulation rate, in steps per second (variable timestep, if undefined) */
+      simulationRate: { type: Number, reflect: true, attribute: "simulation-rate" },
       /** Identifier of active scene, to be rendered in next frame */
       scene: { type: String, reflect: true },
       /** Identifier of active camera, to be used to render in next frame */
-      camera: { type: String, reflect: true }
+      camera: { type: String, reflect: true },
+      /** Whether the animation loop is paused */
+      paused: { type: Boolean, reflect: true },
+      /** Either `continuous`, or `on-demand` to render a frame only when invalidated */
+      renderMode: { type: String, reflect: true, attribute: "render-mode" },
+      /** Either `webgl`, `shared` or `recording` — or a custom renderer backend object (@see `ThreeAppWebGLBackend`) */
+      backend: { type: String },
+      /** Whether to display the performance overlay */
+      stats: { type: Boolean, reflect: true },
+      /** Transition upon a change of the active scene or camera, such as `crossfade 800ms` or `wipe-left 0.5s` */
+      transition: { type: String, reflect: true },
+      /** Whether to mirror the active scene and camera, and the viewpoint of the camera, into the URL hash */
+      deepLink: { type: Boolean, reflect: true, attribute: "deep-link" },
+      /** Actions of the keys pressed while the element has focus, such as `{ "c": "next-camera" }` */
+      keyBindings: { type: Object, attribute: "key-bindings" },
+      /** Accessible name of the canvas, announced by screen readers — `3D view` by default */
+      label: { type: String },
+      /** Whether to lower the pixel ratio step by step, while the actual frame rate is below the desired one */
+      adaptiveQuality: { type: Boolean, reflect: true, attribute: "adaptive-quality" },
+      /** Whether to report the GPU resources left over by each ‹three-*› element removed from the DOM, in development */
+      leakReport: { type: Boolean, reflect: true, attribute: "leak-report" },
+      /** Whether the renderer backend could not be initialized (for instance, without WebGL support) */
+      unsupported: { type: Boolean, reflect: true },
+
+      /** Whether the canvas has an alpha channel, to be composited with the page (WebGL context attribute) */
+      alpha: { type: Boolean, reflect: true },
+      /** Whether to perform antialiasing, on by default (WebGL context attribute) */
+      antialias: { converter: booleanDefaultTrue, reflect: true },
+      /** Whether to preserve the drawing buffer between frames (WebGL context attribute) */
+      preserveDrawingBuffer: { type: Boolean, reflect: true, attribute: "preserve-drawing-buffer" },
+      /** Either `default`, `high-performance` or `low-power` (WebGL context attribute) */
+      powerPreference: { type: String, reflect: true, attribute: "power-preference" },
+      /** Ratio of the size of the display buffer, to the client size of the canvas — the device pixel ratio, by default */
+      pixelRatio: { type: Number, reflect: true, attribute: "pixel-ratio" },
+      /** Upper bound of the pixel ratio, to limit the cost of rendering on high-density displays */
+      maxPixelRatio: { type: Number, reflect: true, attribute: "max-pixel-ratio" },
+      /** Color the display is cleared with, in any CSS notation understood by THREE.Color */
+      clearColor: { type: String, reflect: true, attribute: "clear-color" },
+      /** Opacity the display is cleared with, in range [0, 1] (needs `alpha`, to be transparent) */
+      clearAlpha: { type: Number, reflect: true, attribute: "clear-alpha" },
+      /** Either `none`, `linear`, `reinhard`, `uncharted2`, `cineon` or `aces-filmic` */
+      toneMapping: { type: String, reflect: true, attribute: "tone-mapping" },
+      /** Exposure level of the tone mapping */
+      toneMappingExposure: { type: Number, reflect: true, attribute: "tone-mapping-exposure" },
+      /** Either `linear` or `srgb` (gamma-corrected output) */
+      outputEncoding: { type: String, reflect: true, attribute: "output-encoding" },
+      /** Whether shadow maps are enabled */
+      shadows: { type: Boolean, reflect: true },
+      /** Either `basic`, `pcf` or `pcf-soft` */
+      shadowType: { type: String, reflect: true, attribute: "shadow-type" }
     };
   }
 
@@ -61,6 +273,113 @@ export class ThreeApp extends LitElement {
     this.requestUpdate( "fps", oldVal);
   }
 
+  // Getter and setter for the `clock` property: from given clock type,
+  // instantiates the clock which provides the virtual time of the animation
+  // — or uses given clock object as is, if it is an object.
+  get clock() { return this._clock; }
+  set clock( newVal) {
+    const oldVal = this._clock;
+    // newVal is set to `null` by Lit-Element, when attribute is removed
+    this._clock = (newVal !== null && typeof newVal === "object")
+      ? newVal : createClock( orDefault( newVal, Default.clock), this._timeScale);
+    // The new clock continues from the current virtual time, if any
+    if( typeof this._time !== "undefined") {
+      this._clock.time = this._time;
+    }
+    this.requestUpdate( "clock", oldVal);
+    this.updateLoop();
+  }
+
+  // Getter and setter for the `backend` property: from given backend type,
+  // instantiates the renderer backend which draws to our canvas — or uses
+  // given backend object as is, if it is an object. Once initialized,
+  // the previous backend is disposed and the new one initialized.
+  get backend() { return this._renderer; }
+  set backend( newVal) {
+    const oldVal = this._renderer;
+    if( this._initialized) {
+      this.disposeRenderer();
+    }
+    // newVal is set to `null` by Lit-Element, when attribute is removed
+    this._renderer = (newVal !== null && typeof newVal === "object")
+      ? newVal : createBackend( orDefault( newVal, Default.backend));
+    if( this._initialized) {
+      this.createRenderer();
+      this.resize();
+    }
+    this.requestUpdate( "backend", oldVal);
+  }
+
+  // Getter and setter for the `keyBindings` property: parses given key
+  // bindings into a Map of actions, keyed by canonical key combinations.
+  get keyBindings() { return this._keyBindingsValue; }
+  set keyBindings( newVal) {
+    const oldVal = this._keyBindingsValue;
+    // newVal is set to `null` by Lit-Element, when attribute is removed
+    this._keyBindingsValue = orDefault( newVal, KeysDefault.bindings);
+    this._keyBindings = parseKeyBindings( this._keyBindingsValue);
+    this.requestUpdate( "keyBindings", oldVal);
+  }
+
+  // Getter and setter for the `timeScale` property: observes changes
+  // and on change, updates the time scale of a `scaled` clock.
+  get timeScale() { return this._timeScale; }
+  set timeScale( newVal) {
+    const oldVal = this._timeScale;
+    // newVal is set to `null` by Lit-Element, when attribute is removed
+    this._timeScale = orDefault( newVal, ClockDefault.timeScale);
+    if( typeof this._clock !== "undefined" && this._clock.type === ClockTypeEnum.scaled) {
+      this._clock.timeScale = this._timeScale;
+    }
+    this.requestUpdate( "timeScale", oldVal);
+  }
+
+  // Getter and setter for the `simulationRate` property: observes changes
+  // and on change, re-computes derived internal `_timestep` property.
+  get simulationRate() { return this._simulationRate; }
+  set simulationRate( newVal) {
+    const oldVal = this._simulationRate;
+    // newVal is set to `null` by Lit-Element, when attribute is removed;
+    // a null or zero rate switches back to a variable timestep
+    this._simulationRate = (newVal === null || !( newVal > 0)) ? Default.simulationRate : +newVal;
+    this._timestep = (typeof this._simulationRate !== "undefined")
+      ? 1000 / this._simulationRate : undefined; // ms
+    if( typeof oldVal === "undefined") {
+      // Simulation clock will restart from the time of the next frame
+      this._simulationTime = undefined;
+      this._accumulator = 0;
+    }
+    this.requestUpdate( "simulationRate", oldVal);
+  }
+
+  // Getter and setter for the `paused` property: observes changes
+  // and on change, stops or (re)starts the animation loop accordingly.
+  get paused() { return this._paused; }
+  set paused( newVal) {
+    const oldVal = this._paused;
+    this._paused = Boolean( newVal);
+    this.requestUpdate( "paused", oldVal);
+    this.updateLoop();
+  }
+
+  // Getter and setter for the `renderMode` property: observes changes
+  // and on change, starts or stops the animation loop accordingly.
+  get renderMode() { return this._renderMode; }
+  set renderMode( newVal) {
+    const oldVal = this._renderMode;
+    // newVal is set to `null` by Lit-Element, when attribute is removed
+    this._renderMode = (newVal === RenderModeEnum.onDemand) ? RenderModeEnum.onDemand : Default.renderMode;
+    this.requestUpdate( "renderMode", oldVal);
+    this.invalidate();
+  }
+
+  /**
+   * Getter which returns true, while the animation loop is running.
+   */
+  get running() {
+    return typeof this._frameRequest !== "undefined";
+  }
+
   /**
    * Getter which returns the map of registered ‹three-scene› elements.
    */
@@ -75,6 +394,13 @@ export class ThreeApp extends LitElement {
     return this._cameras;
   }
 
+  /**
+   * Getter which returns the map of registered ‹three-renderer› elements.
+   */
+  get renderers() {
+    return this._renderers;
+  }
+
   // Getter and setter for the `scene` property: from given scene
   // _identifier_, recomputes internal `_activeScene` property,
   // which holds a reference to the matching _scene element_
@@ -84,8 +410,8 @@ export class ThreeApp extends LitElement {
       ? this._activeScene.id : undefined;
   }
   set scene( newSceneId) {
-    const oldSceneId = (typeof this._activeScene !== "undefined")
-      ? this._activeScene.id : undefined;
+    const oldScene = this._activeScene,
+          oldSceneId = (typeof oldScene !== "undefined") ? oldScene.id : undefined;
 
     // Lookup the scene identifier in the map of registered
     // scene elements and store a reference to this scene element
@@ -105,6 +431,14 @@ export class ThreeApp extends LitElement {
       this._activeScene = firstScene;
     }
     this.requestUpdate( "scene", oldSceneId);
+    this.invalidate();
+
+    const newScene = this.scene;
+    if( newScene !== oldSceneId) {
+      const detail = { oldScene: oldSceneId, newScene };
+      this.dispatchEvent( new CustomEvent( Events.sceneChanged, { detail, bubbles: true }));
+      this.beginTransition( oldScene, this._activeCamera);
+    }
   }
 
   // Getter and setter for the `scene` property: from given scene
@@ -116,8 +450,8 @@ export class ThreeApp extends LitElement {
       ? this._activeCamera.id : undefined;
   }
   set camera( newCameraRefId) {
-    const oldCameraId = (typeof this._activeCamera !== "undefined")
-      ? this._activeCamera.id : undefined;
+    const oldCamera = this._activeCamera,
+          oldCameraId = (typeof oldCamera !== "undefined") ? oldCamera.id : undefined;
 
     // Lookup the camera identifier in the map of registered
     // camera elements and store a reference to this camera element
@@ -137,6 +471,14 @@ export class ThreeApp extends LitElement {
       this._activeCamera = firstCamera;
     }
     this.requestUpdate( "camera", oldCameraId);
+    this.invalidate();
+
+    const newCamera = this.camera;
+    if( newCamera !== oldCameraId) {
+      const detail = { oldCamera: oldCameraId, newCamera };
+      this.dispatchEvent( new CustomEvent( Events.cameraChanged, { detail, bubbles: true }));
+      this.beginTransition( this._activeScene, oldCamera);
+    }
   }
 
   /**
@@ -150,43 +492,180 @@ export class ThreeApp extends LitElement {
 
     // Bind callback methods to this instance
     this.tick = this.tick.bind( this);
+    this.onVisibilityChange = this.onVisibilityChange.bind( this);
+    this.onIntersection = this.onIntersection.bind( this);
+    this.onResize = this.onResize.bind( this);
+    this.onPixelRatioChange = this.onPixelRatioChange.bind( this);
+    this.onViewChange = this.onViewChange.bind( this);
+    this.onViewSettled = this.onViewSettled.bind( this);
+    this.onHashChange = this.onHashChange.bind( this);
+    this.onKeyDown = this.onKeyDown.bind( this);
+    this.onObjectDisposing = this.onObjectDisposing.bind( this);
+    this.onContextLost = this.onContextLost.bind( this);
+    this.onContextRestored = this.onContextRestored.bind( this);
+    this.invalidate = this.invalidate.bind( this);
 
     // Listen to camera and scene events
     this.addEventListener( CameraEvents.cameraConnected, this.registerCamera);
     this.addEventListener( CameraEvents.cameraDisconnected, this.deregisterCamera);
     this.addEventListener( SceneEvents.sceneConnected, this.registerScene);
     this.addEventListener( SceneEvents.sceneDisconnected, this.deregisterScene);
+    this.addEventListener( SceneEvents.sceneRenamed, this.renameScene);
+    this.addEventListener( RendererEvents.rendererConnected, this.registerRenderer);
+    this.addEventListener( RendererEvents.rendererDisconnected, this.deregisterRenderer);
+
+    // Listen to changes of the view, to describe them to assistive
+    // technologies, and to mirror them into the URL hash
+    this.addEventListener( CameraEvents.cameraInvalidated, this.onViewChange);
+    this.addEventListener( Events.sceneChanged, this.onViewChange);
+    this.addEventListener( Events.cameraChanged, this.onViewChange);
+
+    // Listen to the keys pressed while the element has focus
+    this.addEventListener( "keydown", this.onKeyDown);
+
+    // Listen to invalidation events of child ‹three-*› elements, which
+    // request a new frame to be rendered, in `on-demand` render mode
+    this.addEventListener( CameraEvents.cameraInvalidated, this.invalidate);
+    this.addEventListener( SceneEvents.sceneInvalidated, this.invalidate);
+    this.addEventListener( ObjectEvents.objectInvalidated, this.invalidate);
+    this.addEventListener( RendererEvents.rendererInvalidated, this.invalidate);
+
+    // Listen to the removal of child ‹three-*› elements, to report the
+    // resources they leave over, with the `leak-report` attribute
+    this.addEventListener( ObjectEvents.objectDisposing, this.onObjectDisposing);
 
     // Initialize internal properties
     this._initialized = false;
 
     this._canvas = undefined;         // a reference to our ‹canvas› element
-    this._renderer = undefined;       // the THREE WebGL renderer used to draw to our canvas
+    this._renderer = undefined;       // the renderer backend used to draw to our canvas, defined by `backend` property setter
     this._displayRatio = undefined;   // current display ratio of the canvas, computed
 
     this._fps = undefined;            // defined by `fps` property setter
-    this._fpsActual = undefined;      // computed by `this.tick()`
+    this._fpsActual = undefined;      // computed by `this.updateTimings()`
     this._interval = undefined;       // derived from `this.fps`, computed by `fps` property setter
-    this._intervalActual = undefined; // computed by `this.tick()`
-    this._time = undefined;           // computed by `this.tick()`
-    this._lastTime = undefined;       // computed by `this.tick()`
+    this._intervalActual = undefined; // computed by `this.updateTimings()`
+    this._statsElement = undefined;   // a reference to our ‹three-app-stats› performance overlay
+    this._time = undefined;           // virtual time of the current frame, computed by `this.tick()`
+    this._lastTime = undefined;       // virtual time of the last frame, computed by `this.tick()`
+    this._lastFrameTime = undefined;  // real time of the last frame, computed by `this.tick()`
+    this._clock = undefined;          // defined by `clock` property setter
+    this._timeScale = undefined;      // defined by `timeScale` property setter
+    this._frameRequest = undefined;   // cancels the pending frame request, while running (@see `requestFrame()`)
+    this._idle = false;               // whether the loop went idle in `on-demand` render mode, without notice (@see `tick()`)
+
+    this._paused = false;             // defined by `paused` property setter
+    this._onScreen = true;            // computed by `this.onIntersection()`
+    this._pageVisible = true;         // computed by `this.onVisibilityChange()`
+    this._intersectionObserver = undefined;
+    this._resizeObserver = undefined; // observes the size of our canvas, if ResizeObserver is supported
+    this._pixelRatioQuery = undefined; // media query matching the current device pixel ratio
+    this._viewTimeout = undefined;    // identifier of the pending call to `this.onViewSettled()`
+    this._description = "";           // summary of the view, rendered in a live region, computed by `this.updateDescription()`
+    this._keyBindingsValue = undefined; // defined by `keyBindings` property setter
+    this._keyBindings = undefined;    // actions keyed by canonical key combinations, computed by `keyBindings` property setter
+
+    this._renderMode = undefined;     // defined by `renderMode` property setter
+    this._invalid = true;             // whether a new frame should be rendered, in `on-demand` render mode
+    this._stepInvalidated = false;    // whether the last fixed timestep changed anything, computed by `this.simulate()`
+
+    this._captureRequests = [];       // pending requests of `this.capture()`, fulfilled after next frame
+    this._captureSize = undefined;    // size of the frames being captured, if it differs from the display size
+    this._exporting = false;          // whether `this.exportFrames()` is stepping the animation
+    this._transition = new ThreeAppTransition(); // render targets and state of the running transition, if any
+    this._quality = new ThreeAppQuality(); // adaptive quality level, computed by `this.adaptQuality()`
+    this._contextLost = false;        // whether the WebGL context was lost, computed by `this.onContextLost()`
+
+    this._simulationRate = undefined; // defined by `simulationRate` property setter
+    this._timestep = undefined;       // derived from `this.simulationRate`, computed by its property setter
+    this._simulationTime = undefined; // computed by `this.simulate()`
+    this._accumulator = 0;            // time not yet simulated, computed by `this.simulate()`
 
     this._scenes = new Map();
     this._cameras = new Map();
+    this._renderers = new Map();
     this._activeScene = undefined;
     this._activeCamera = undefined;
 
     // Initialize public properties (must come after internal properties)
     this.fps = Default.fps;    // setting property `fps` will trigger computation of derived `_interval` property
+    this.timeScale = ClockDefault.timeScale;
+    this.clock = Default.clock; // setting property `clock` will instantiate the clock
+    this.simulationRate = Default.simulationRate; // will trigger computation of derived `_timestep` property
+    this.renderMode = Default.renderMode;
+    this.backend = Default.backend; // setting property `backend` will instantiate the renderer backend
+    this.unsupported = false;
+    this.stats = false;
+    this.transition = undefined; // hard cut
+    this.adaptiveQuality = false;
+    this.deepLink = false;
+    this.leakReport = false;
+    this.keyBindings = KeysDefault.bindings;
+    this.label = Default.label;
+    Object.assign( this, Default.renderer); // renderer configuration properties
   }
 
+  /**
+   * Starts observing the visibility of the element and of the page, the
+   * size of our canvas and the device pixel ratio, and restarts the
+   * animation loop, in case the element was moved in the DOM.
+   */
   connectedCallback() {
     super.connectedCallback();
     console.log( "three-app › connectedCallback()");
+
+    document.addEventListener( "visibilitychange", this.onVisibilityChange);
+    this._pageVisible = document.visibilityState !== "hidden";
+
+
+    if( typeof IntersectionObserver !== "undefined") {
+      this._intersectionObserver = new IntersectionObserver( this.onIntersection);
+      this._intersectionObserver.observe( this);
+    }
+
+    // Our canvas is observed once rendered (@see `init()`); without
+    // ResizeObserver, the resize events of the window are listened to instead
+    if( typeof ResizeObserver !== "undefined") {
+      this._resizeObserver = new ResizeObserver( this.onResize);
+      if( typeof this._canvas !== "undefined") {
+        this._resizeObserver.observe( this._canvas);
+      }
+    } else {
+      window.addEventListener( "resize", this.onResize);
+    }
+    this.watchPixelRatio();
+    window.addEventListener( "hashchange", this.onHashChange);
+
+    this.updateLoop();
   }
 
+  /**
+   * Stops the animation loop and the observation of visibility, size
+   * and pixel ratio changes.
+   */
   disconnectedCallback() {
     console.log( "three-app › disconnectedCallback()");
+    this.stop();
+
+    document.removeEventListener( "visibilitychange", this.onVisibilityChange);
+    if( typeof this._intersectionObserver !== "undefined") {
+      this._intersectionObserver.disconnect();
+      this._intersectionObserver = undefined;
+    }
+    if( typeof this._resizeObserver !== "undefined") {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = undefined;
+    } else {
+      window.removeEventListener( "resize", this.onResize);
+    }
+    if( typeof this._pixelRatioQuery !== "undefined") {
+      this._pixelRatioQuery.removeListener( this.onPixelRatioChange);
+      this._pixelRatioQuery = undefined;
+    }
+    window.removeEventListener( "hashchange", this.onHashChange);
+    window.clearTimeout( this._viewTimeout);
+    this._viewTimeout = undefined;
+
     super.disconnectedCallback();
   }
 
@@ -202,8 +681,8 @@ export class ThreeApp extends LitElement {
     // Initializes the WebGL renderer and links it to our ‹canvas› element
     this.init();
 
-    // Start the animation loop and timer
-    this.start();
+    // Start the animation loop and timer (unless paused or not visible)
+    this.updateLoop();
   }
 
   /**
@@ -211,70 +690,681 @@ export class ThreeApp extends LitElement {
    *
    * Should be called from within `firstUpdated()`, once the Shadow DOM
    * was rendered by Lit-Element.
+   *
+   * If the renderer cannot be initialized (for instance, when WebGL is not
+   * supported or disabled), the element displays the content of its
+   * `fallback` slot instead, and its children are not initialized.
    */
   init() {
     console.log( "three-app › init()");
 
     // Get and keep a reference to the our ‹canvas› element
     this._canvas = this.shadowRoot.getElementById( "display");
+    this._statsElement = this.shadowRoot.getElementById( "stats");
+    if( typeof this._resizeObserver !== "undefined") {
+      this._resizeObserver.observe( this._canvas);
+    }
 
-    // Instantiates a Three WebGL renderer, rendering to our ‹canvas› element
-    this._renderer = new WebGLRenderer({
-      canvas: this._canvas,
-      antialias: true
-    });
+    // Initializes the renderer backend, rendering to our ‹canvas› element
+    try {
+      this.createRenderer();
+    } catch( error) {
+      this.reportUnsupported( error.message);
+      return;
+    }
 
     // Update size of the display buffer of the renderer
     this.resize();
 
-    // Initialize the children ‹three-camera› and ‹three-scene› elements
-    // (which in turn will register themselves with this parent ‹three-app›,
-    // by dispatching custom events — @see the `registerCamera()` and
-    // `registerScene()` event listeners)
-    const cameraAndSceneElements = this.querySelectorAll( "three-camera, three-scene");
-    cameraAndSceneElements.forEach(( elt) => elt.init());
+    // Initialize the children ‹three-camera›, ‹three-scene› and ‹three-renderer›
+    // elements (which in turn will register themselves with this parent
+    // ‹three-app›, by dispatching custom events — @see the `registerCamera()`,
+    // `registerScene()` and `registerRenderer()` event listeners)
+    const childElements = this.querySelectorAll( "three-camera, three-scene, three-renderer");
+    childElements.forEach(( elt) => elt.init());
+
+    // Open the view shared by a link, without transition
+    if( this.deepLink) {
+      this.restoreLocation();
+    }
+    this.updateDescription();
 
     // From now on, `start()` can be called to animate and render the scenes
     this._initialized = true;
   }
 
+  /**
+   * Flags the element as `unsupported`, which displays the content of its
+   * `fallback` slot instead of the canvas, and notifies the page.
+   *
+   * @param {string} reason Why the renderer could not be initialized.
+   * @fires: CustomEvent( "unsupported")
+   */
+  reportUnsupported( reason) {
+    console.warn( `three-app › reportUnsupported(): ${reason}`);
+    this.unsupported = true;
+    this.dispatchEvent( new CustomEvent( Events.unsupported, {
+      detail: { reason },
+      bubbles: true
+    }));
+  }
+
+  /**
+   * Initializes the renderer backend, rendering to our ‹canvas› element,
+   * with the context attributes and the configuration defined by the
+   * properties of the element.
+   */
+  createRenderer() {
+    console.log( `three-app › createRenderer() with ${this._renderer.type} backend`);
+    this._canvas.addEventListener( "webglcontextlost", this.onContextLost);
+    this._canvas.addEventListener( "webglcontextrestored", this.onContextRestored);
+    this._renderer.init( this._canvas, {
+      alpha: this.alpha,
+      antialias: orDefault( this.antialias, Default.renderer.antialias),
+      preserveDrawingBuffer: this.preserveDrawingBuffer,
+      powerPreference: orDefault( this.powerPreference, Default.renderer.powerPreference)
+    });
+    this.configureRenderer();
+  }
+
+  /**
+   * Disposes the renderer and initializes it anew — needed when the
+   * attributes of the WebGL context changed, as they can only be set upon
+   * creation of the context.
+   *
+   * The registered scenes, cameras and renderers remain as they are;
+   * their resources get uploaded to the new context, upon next rendering.
+   */
+  recreateRenderer() {
+    console.log( "three-app › recreateRenderer()");
+    this.disposeRenderer();
+    this.createRenderer();
+    this.resize();
+  }
+
+  /**
+   * Disposes the renderer backend, which releases its context, and
+   * replaces our ‹canvas› element by a fresh copy — as a ‹canvas› element
+   * keeps the attributes of the first context it was asked for.
+   */
+  disposeRenderer() {
+    console.log( "three-app › disposeRenderer()");
+    // Disposing the backend releases its context deliberately
+    this._canvas.removeEventListener( "webglcontextlost", this.onContextLost);
+    this._canvas.removeEventListener( "webglcontextrestored", this.onContextRestored);
+    this._transition.dispose();
+    this._renderer.dispose();
+    this._contextLost = false;
+
+    const canvas = this._canvas.cloneNode( false);
+    this._canvas.replaceWith( canvas);
+    if( typeof this._resizeObserver !== "undefined") {
+      this._resizeObserver.unobserve( this._canvas);
+      this._resizeObserver.observe( canvas);
+    }
+    this._canvas = canvas;
+  }
+
+  /**
+   * Applies the renderer settings defined by the properties of the element
+   * (pixel ratio, clear color, tone mapping, output encoding and shadows).
+   */
+  configureRenderer() {
+    console.log( "three-app › configureRenderer()");
+
+    this._renderer.setPixelRatio( this.getPixelRatio());
+    const materialsChanged = this._renderer.configure({
+      clearColor: orDefault( this.clearColor, Default.renderer.clearColor),
+      clearAlpha: orDefault( this.clearAlpha, Default.renderer.clearAlpha),
+      toneMapping: orDefault(
+        ToneMappings[ this.toneMapping], ToneMappings[ Default.renderer.toneMapping]),
+      toneMappingExposure: orDefault( this.toneMappingExposure, Default.renderer.toneMappingExposure),
+      gammaOutput: (this.outputEncoding === OutputEncodingEnum.sRGB),
+      shadows: Boolean( this.shadows),
+      shadowType: orDefault( ShadowTypes[ this.shadowType], ShadowTypes[ Default.renderer.shadowType])
+    });
+    if( materialsChanged) {
+      // Materials must be recompiled, to take shadows into account
+      this._scenes.forEach(( elt) => elt.scene.traverse( updateMaterials));
+    }
+
+    this.invalidate();
+  }
+
+  /**
+   * Reconfigures or recreates the renderer, when any of the properties
+   * defining its configuration changed, once the element is initialized —
+   * and refreshes the performance overlay, when it gets displayed.
+   *
+   * @param {Map} changedProperties Keys are the names of changed
+   *   properties; values are the corresponding _previous_ values.
+   */
+  updated( changedProperties) {
+    if( !this._initialized) { return; }
+    if( changedProperties.has( "stats") && this.stats) {
+      this._statsElement.refresh();
+    }
+    const changed = ( name) => changedProperties.has( name)
+      && typeof changedProperties.get( name) !== "undefined";
+    if( CONTEXT_PROPERTIES.some( changed)) {
+      this.recreateRenderer();
+    } else if( RENDERER_PROPERTIES.some( changed)) {
+      this.configureRenderer();
+    }
+    if( changed( "adaptiveQuality") && !this.adaptiveQuality && this._quality.restore()) {
+      this.applyQuality();
+    }
+    if( changed( "deepLink") && this.deepLink) {
+      this.updateLocation();
+    }
+  }
+
   /**
    * Starts the main animation loop and timer.
    *
    * Should be called from within `firstUpdated()`, once the Shadow DOM
    * was rendered by Lit-Element, and only after `init()` was called.
+   * Waking up from idle, in `on-demand` render mode, does not fire the
+   * `started` event, as going idle did not fire the `stopped` one.
+   *
+   * @fires: CustomEvent( "started")
    */
   start() {
     console.assert( this._initialized, "three-app › start(): element incompletely initialized; call `init()` first.");
+    if( this.running) { return; }
     console.log( "three-app › start()");
 
-    this._lastTime = 0;
-    window.requestAnimationFrame( this.tick);
+    // First frame will be timed as if one interval elapsed since the last,
+    // for the animation to resume where it was stopped, without a jump
+    this._lastFrameTime = undefined;
+    this._simulationTime = undefined;
+    this._accumulator = 0;
+    this._quality.reset();
+    this.requestFrame();
+    if( this._idle) {
+      this._idle = false;
+    } else {
+      this.dispatchEvent( new CustomEvent( Events.started, { bubbles: true }));
+    }
+  }
+
+  /**
+   * Stops the main animation loop and timer, cancelling the next frame.
+   * The captures awaiting that frame are fulfilled from a frame rendered
+   * right away — or rejected, if the WebGL context was lost.
+   *
+   * @fires: CustomEvent( "stopped")
+   */
+  stop() {
+    if( !this.running) {
+      // Stopped while idle: notify the stop, which going idle did not
+      if( this._idle) {
+        this._idle = false;
+        this.dispatchEvent( new CustomEvent( Events.stopped, { bubbles: true }));
+      }
+      return;
+    }
+    console.log( "three-app › stop()");
+
+    this._frameRequest();
+    this._frameRequest = undefined;
+    if( this._captureRequests.length > 0) {
+      if( this._contextLost) {
+        const requests = this._captureRequests;
+        this._captureRequests = [];
+        requests.forEach(( request) =>
+          request.reject( new Error( "three-app › capture(): WebGL context lost")));
+      } else {
+        this.draw();
+        this.processCaptures();
+      }
+    }
+    this.dispatchEvent( new CustomEvent( Events.stopped, { bubbles: true }));
+  }
+
+  /**
+   * Pauses the animation loop; same as setting the `paused` property.
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Resumes the animation loop; same as unsetting the `paused` property.
+   * The loop will however remain suspended, as long as the element is
+   * off-screen or the page hidden.
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Returns true, if the animation loop should currently run: only once
+   * initialized, while connected to the DOM and not paused, never with
+   * a `manual` clock (@see `advance()`), and suspended
+   * while the element is off-screen or the page hidden, or the WebGL
+   * context lost — and in `on-demand` render mode, only as long as
+   * a new frame is needed.
+   */
+  shouldRun() {
+    return this._initialized && this.isConnected && !this._paused && !this._exporting
+      && !this._contextLost && this._clock.type !== ClockTypeEnum.manual
+      && this._onScreen && this._pageVisible
+      && ( this._renderMode !== RenderModeEnum.onDemand || this._invalid);
+  }
+
+  /**
+   * Starts or stops the animation loop, depending on whether it should
+   * currently run (@see `shouldRun()`).
+   */
+  updateLoop() {
+    if( this.shouldRun()) {
+      this.start();
+    } else {
+      this.stop();
+    }
+  }
+
+  /**
+   * Requests a new frame to be rendered. Needed in `on-demand` render mode
+   * only, where frames are rendered only when something changed: called
+   * upon property changes of the active camera and scene, and upon
+   * invalidation events of child ‹three-*› elements
+   * (@see `ThreeObject.invalidate()`).
+   */
+  invalidate() {
+    this._invalid = true;
+    if( this._renderMode === RenderModeEnum.onDemand) {
+      this.updateLoop();
+    }
+  }
+
+  /**
+   * Event-listener, that suspends the animation loop while the page is hidden.
+   */
+  onVisibilityChange() {
+    this._pageVisible = document.visibilityState !== "hidden";
+    this.updateLoop();
+  }
+
+  /**
+   * Callback of the intersection observer, that suspends the animation
+   * loop while the element is scrolled off-screen.
+   *
+   * @param {Array<IntersectionObserverEntry>} entries
+   */
+  onIntersection( entries) {
+    const entry = entries[ entries.length - 1];
+    this._onScreen = entry.isIntersecting;
+    this.updateLoop();
+  }
+
+  /**
+   * Callback of the resize observer of our canvas — or event-listener of the
+   * resize events of the window, without ResizeObserver support —, that
+   * resizes the display buffer, when the client size of the canvas changed.
+   */
+  onResize() {
+    if( !this._initialized || typeof this._captureSize !== "undefined") { return; }
+    if( this.needsResize()) {
+      this.resize();
+      this.redraw();
+    }
+  }
+
+  /**
+   * Listens to the next change of the device pixel ratio — for instance,
+   * when the window is moved to another monitor, or the page is zoomed —,
+   * with a media query matching its current value.
+   */
+  watchPixelRatio() {
+    if( typeof this._pixelRatioQuery !== "undefined") {
+      this._pixelRatioQuery.removeListener( this.onPixelRatioChange);
+    }
+    if( typeof window.matchMedia === "function") {
+      this._pixelRatioQuery = window.matchMedia( `(resolution: ${window.devicePixelRatio}dppx)`);
+      this._pixelRatioQuery.addListener( this.onPixelRatioChange);
+    }
+  }
+
+  /**
+   * Event-listener, that applies the new device pixel ratio to the display
+   * buffer (unless the `pixel-ratio` attribute overrides it), and listens
+   * to its next change.
+   */
+  onPixelRatioChange() {
+    console.log( `three-app › onPixelRatioChange() to ${window.devicePixelRatio}`);
+    this.watchPixelRatio();
+    if( !this._initialized || typeof this._captureSize !== "undefined") { return; }
+    this._renderer.setPixelRatio( this.getPixelRatio());
+    this.redraw();
+  }
+
+  /**
+   * Renders a new frame, after the display buffer was resized (which clears
+   * it): upon next tick, while the animation loop is running; otherwise,
+   * right away — without advancing the animation.
+   */
+  redraw() {
+    if( this.running) {
+      this.invalidate();
+    } else if( this._initialized && !this._contextLost) {
+      this.draw();
+    }
+  }
+
+  /**
+   * Event-listener of the changes of the active scene and camera, and of the
+   * invalidation events of the active camera — fired upon changes of its
+   * properties, as well as by its controllers, when they moved it.
+   *
+   * Debounced by `Default.viewDelay` ms (@see `onViewSettled()`), for the
+   * view not to be announced, nor the URL to be rewritten, upon each frame
+   * while the camera is moving.
+   *
+   * @param {CustomEvent} event
+   */
+  onViewChange( event) {
+    if( !this._initialized) { return; }
+    if( event.type === CameraEvents.cameraInvalidated
+        && event.detail.camera !== this._activeCamera) { return; }
+    window.clearTimeout( this._viewTimeout);
+    this._viewTimeout = window.setTimeout( this.onViewSettled, Default.viewDelay);
+  }
+
+  /**
+   * Called once the view stopped changing: describes it anew in the live
+   * region of the element and, with the `deep-link` attribute set, mirrors
+   * it into the URL hash.
+   */
+  onViewSettled() {
+    this._viewTimeout = undefined;
+    this.updateDescription();
+    if( this.deepLink) {
+      this.updateLocation();
+    }
+  }
+
+  /**
+   * Returns a summary of the view, for assistive technologies: the
+   * description of the active scene (@see `ThreeScene.describe()`)
+   * and of the active camera (@see `ThreeCamera.describe()`).
+   */
+  describe() {
+    const sceneElt = this._activeScene,
+          cameraElt = this._activeCamera;
+    return [
+      (typeof sceneElt !== "undefined") ? sceneElt.describe() : undefined,
+      (typeof cameraElt !== "undefined") ? cameraElt.describe() : undefined
+    ].filter(( description) => typeof description !== "undefined")
+      .map(( description) => `${description}.`)
+      .join( " ");
+  }
+
+  /**
+   * Renders the summary of the view into the live region of the element,
+   * which describes the canvas — for screen readers to announce it, when
+   * it changed.
+   */
+  updateDescription() {
+    const description = this.describe();
+    if( description !== this._description) {
+      this._description = description;
+      this.requestUpdate();
+    }
+  }
+
+  /**
+   * Mirrors the active scene and camera, and the viewpoint of the camera
+   * (@see `ThreeCamera.getViewpoint()`), into the URL hash — replacing the
+   * current entry of the browser history, rather than adding one.
+   */
+  updateLocation() {
+    const cameraElt = this._activeCamera,
+          viewpoint = (typeof cameraElt !== "undefined" && typeof cameraElt.camera !== "undefined")
+            ? cameraElt.getViewpoint() : {},
+          hash = formatLocation( window.location.hash,
+            Object.assign({ scene: this.scene, camera: this.camera }, viewpoint));
+    if( hash !== window.location.hash) {
+      window.history.replaceState( window.history.state, "", hash);
+    }
+  }
+
+  /**
+   * Activates the scene and camera defined by the URL hash, and moves the
+   * camera to the viewpoint it defines — upon initialization of the element
+   * and when the hash changes, with the `deep-link` attribute set.
+   */
+  restoreLocation() {
+    const { scene, camera, position, lookAt, zoom } = parseLocation( window.location.hash);
+    console.log( "three-app › restoreLocation()", { scene, camera, position, lookAt, zoom });
+    if( typeof scene !== "undefined" && this._scenes.has( scene)) {
+      this.scene = scene;
+    }
+    if( typeof camera !== "undefined" && this._cameras.has( camera)) {
+      this.camera = camera;
+    }
+    const cameraElt = this._activeCamera;
+    if( typeof cameraElt === "undefined") { return; }
+    if( typeof position !== "undefined") { cameraElt.position = position; }
+    if( typeof lookAt !== "undefined") { cameraElt.lookAt = lookAt; }
+    if( typeof zoom !== "undefined") { cameraElt.zoom = zoom; }
+  }
+
+  /**
+   * Event-listener, that restores the view, when the URL hash was changed
+   * by the user or by the page — not by `updateLocation()`, as replacing
+   * the history entry does not fire `hashchange` events.
+   */
+  onHashChange() {
+    if( this.deepLink && this._initialized) {
+      this.restoreLocation();
+    }
+  }
+
+  /**
+   * Event-listener of the keys pressed while the element — or one of its
+   * descendents — has focus, which performs the action bound to the key
+   * (@see the `keyBindings` property). Keys typed into form fields, and
+   * repeated keys, while held down, are ignored.
+   *
+   * @param {KeyboardEvent} event
+   */
+  onKeyDown( event) {
+    const target = event.composedPath()[ 0];
+    if( event.repeat || event.defaultPrevented
+        || target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test( target.tagName)) {
+      return;
+    }
+    const action = this._keyBindings.get( keyOf( event));
+    if( typeof action !== "undefined" && this.performAction( action)) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Performs given action (@see `KeyActionEnum`) — such as `next-camera`,
+   * or `camera-2`, which activates the second registered camera.
+   *
+   * @param {string} action The action to perform.
+   * @return {boolean} True, if the action is known — and, for a `camera-N`
+   *   or `scene-N` action, if there is such a camera or scene.
+   */
+  performAction( action) {
+    console.log( `three-app › performAction( ${action})`);
+    const match = /^(camera|scene)-(\d+)$/.exec( action);
+    if( match !== null) {
+      const [ , type, position ] = match,
+            ids = Array.from( (type === KeyActionEnum.camera) ? this._cameras.keys() : this._scenes.keys()),
+            id = ids[ parseInt( position, 10) - 1];
+      if( typeof id === "undefined") {
+        return false;
+      }
+      this[ type] = id;
+      return true;
+    }
+    switch( action) {
+      case KeyActionEnum.nextCamera: this.nextCamera(); return true;
+      case KeyActionEnum.previousCamera: this.previousCamera(); return true;
+      case KeyActionEnum.nextScene: this.nextScene(); return true;
+      case KeyActionEnum.previousScene: this.previousScene(); return true;
+      default: return false;
+    }
+  }
+
+  /**
+   * Activates the camera registered after the active one — or the first
+   * camera, after the last one.
+   *
+   * @return {string} The identifier of the new active camera.
+   */
+  nextCamera() {
+    if( this._cameras.size > 0) {
+      this.camera = cycle( this._cameras, this.camera, 1);
+    }
+    return this.camera;
+  }
+
+  /**
+   * Activates the camera registered before the active one — or the last
+   * camera, before the first one.
+   *
+   * @return {string} The identifier of the new active camera.
+   */
+  previousCamera() {
+    if( this._cameras.size > 0) {
+      this.camera = cycle( this._cameras, this.camera, -1);
+    }
+    return this.camera;
+  }
+
+  /**
+   * Activates the scene registered after the active one — or the first
+   * scene, after the last one.
+   *
+   * @return {string} The identifier of the new active scene.
+   */
+  nextScene() {
+    if( this._scenes.size > 0) {
+      this.scene = cycle( this._scenes, this.scene, 1);
+    }
+    return this.scene;
+  }
+
+  /**
+   * Activates the scene registered before the active one — or the last
+   * scene, before the first one.
+   *
+   * @return {string} The identifier of the new active scene.
+   */
+  previousScene() {
+    if( this._scenes.size > 0) {
+      this.scene = cycle( this._scenes, this.scene, -1);
+    }
+    return this.scene;
+  }
+
+  /**
+   * Event-listener, that suspends the animation loop when the WebGL context
+   * of our canvas was lost (for instance, upon a GPU reset), until it gets
+   * restored. Prevents the default behavior of the event, which would
+   * otherwise be to never restore the context.
+   *
+   * @param {WebGLContextEvent} event
+   * @fires: CustomEvent( "context-lost")
+   */
+  onContextLost( event) {
+    console.warn( "three-app › onContextLost(): WebGL context lost");
+    event.preventDefault();
+    this._contextLost = true;
+    this.updateLoop();
+    this.dispatchEvent( new CustomEvent( Events.contextLost, { bubbles: true }));
+  }
+
+  /**
+   * Event-listener, that rebuilds the state of the renderer once the WebGL
+   * context of our canvas was restored, asks each registered scene to
+   * re-upload its resources (@see `ThreeScene.restore()`) and resumes the
+   * animation loop.
+   *
+   * @fires: CustomEvent( "context-restored")
+   */
+  onContextRestored() {
+    console.log( "three-app › onContextRestored(): WebGL context restored");
+    this._contextLost = false;
+    this.configureRenderer();
+    this.resize();
+    this._scenes.forEach(( elt) => elt.restore());
+    this.dispatchEvent( new CustomEvent( Events.contextRestored, { bubbles: true }));
+    this.invalidate();
+    this.updateLoop();
+  }
+
+  /**
+   * Requests the next call of `tick()`, upon next animation frame — or once
+   * the renderer backend schedules it, if it schedules the frames of several
+   * elements (@see `ThreeAppSharedBackend.requestFrame()`). Keeps the means to
+   * cancel the request, from the backend which it was made to.
+   */
+  requestFrame() {
+    const renderer = this._renderer;
+    if( typeof renderer.requestFrame === "function") {
+      const request = renderer.requestFrame( this.tick); // `this.tick()` is this `tickCallback()` bound to each instance of this class; see constructor
+      this._frameRequest = () => renderer.cancelFrame( request);
+    } else {
+      const request = window.requestAnimationFrame( this.tick);
+      this._frameRequest = () => window.cancelAnimationFrame( request);
+    }
   }
 
   /**
    * The main animation timer and loop. Called automatically once per
-   * browser frame, as a result of `window.requestAnimationFrame()`.
+   * browser frame, as a result of `requestFrame()`.
    *
    * Actions performed:
    *
-   * 1. Updates the local tick value;
+   * 1. Advances the clock, which provides the virtual time of the frame;
    * 2. Updates and renders each scene in turn, at desired FPS, if possible;
-   * 3. Schedules another call to requestAnimationFrame.
+   * 3. Schedules another call, with `requestFrame()`.
    *
-   * @param {number} time The current time; a high-resolution timer value,
+   * @param {number} realTime The current time; a high-resolution timer value,
    *   as it comes from `window.requestAnimationFrame()`.
    */
-  tick( time) {
-    this._time = time;
-    const delta = time - this._lastTime;
+  tick( realTime) {
+    if( typeof this._lastFrameTime === "undefined") {
+      this._lastFrameTime = realTime - this._interval;
+    }
+    const realDelta = realTime - this._lastFrameTime;
 
-    if( delta >= this._interval) {
+    if( realDelta >= this._interval) {
+      const time = this._clock.tick( realTime, realDelta),
+            delta = time - orDefault( this._lastTime, time - realDelta);
+      this.updateTimings( realDelta);
+      this._invalid = false; // might get invalidated again, by the animation step
+      this._time = time;
+      const workStart = performance.now();
       this.step( time, delta);
+      // Not with a backend scheduling the frames of several elements, which
+      // delays them regardless of their cost (@see `requestFrame()`)
+      if( this.adaptiveQuality && this._renderMode === RenderModeEnum.continuous
+          && typeof this._renderer.requestFrame !== "function") {
+        this.adaptQuality( realDelta, performance.now() - workStart);
+      }
       this._lastTime = time;
+      this._lastFrameTime = realTime;
     }
 
-    window.requestAnimationFrame( this.tick); // `this.tick()` is this `tickCallback()` bound to each instance of this class; see constructor
+    // In `on-demand` render mode, the loop stops until next invalidation
+    if( this.shouldRun()) {
+      this.requestFrame();
+    } else if( this._renderMode === RenderModeEnum.onDemand && !this._invalid) {
+      // Idle until next invalidation: not worth a `stopped` event
+      this._frameRequest = undefined;
+      this._idle = true;
+    } else {
+      this._frameRequest = undefined;
+      this.dispatchEvent( new CustomEvent( Events.stopped, { bubbles: true }));
+    }
   }
 
   /**
@@ -282,51 +1372,337 @@ export class ThreeApp extends LitElement {
    * Called automatically from `tick()`, every time the animation interval elapsed
    * (for instance, if `fps` property is set to 60, once about every 16ms).
    *
-   * 1. Resizes the display buffer of the renderer, if the canvas was resized;
-   * 2. Updates each scene and camera in turn;
-   * 2. Renders each scene in turn.
+   * 1. Updates each scene and camera in turn — once with the elapsed `delta`,
+   *    or as many fixed timesteps as elapsed, if `simulationRate` is defined;
+   * 2. Renders the active scene through the active camera — or, if there are
+   *    registered ‹three-renderer› elements, renders each of their viewports.
    *
-   * @param {number} time The current time; a high-resolution timer value, as it comes from `window.requestAnimationFrame()`.
-   * @param {number} delta The delta time in ms since the last animation interval.
+   * @param {number} time The current virtual time, in ms, as provided by the clock.
+   * @param {number} delta The virtual time elapsed since the last animation interval, in ms.
+   * @fires: CustomEvent( "frame-start")
+   * @fires: CustomEvent( "frame-end")
    */
   step( time, delta) {
-    this.updateTimings( delta);
+    const detail = { time, delta };
+    this.dispatchEvent( new CustomEvent( Events.frameStart, { detail, bubbles: true }));
+
+    if( typeof this._timestep !== "undefined") {
+      const alpha = this.simulate( time, delta);
+      this.interpolate( alpha);
+    } else {
+      this.animate( time, delta);
+      this.interpolate( 1.0);
+    }
 
-    if( this.needsResize()) { this.resize(); }
+    this.draw( time);
 
+    if( this._captureRequests.length > 0) {
+      this.processCaptures();
+    }
+
+    this.dispatchEvent( new CustomEvent( Events.frameEnd, { detail, bubbles: true }));
+  }
+
+  /**
+   * Updates each scene and camera in turn, for one animation step.
+   *
+   * @param {number} time The current (simulation) time, in ms.
+   * @param {number} delta The (simulation) time elapsed since the last animation step, in ms.
+   */
+  animate( time, delta) {
     this._scenes.forEach(( elt) => elt.step( time, delta));
     this._cameras.forEach(( elt) => elt.step( time, delta));
+  }
+
+  /**
+   * Advances the simulation by fixed timesteps of `1000 / simulationRate` ms,
+   * as many as fit in the time elapsed since the last frame — catching up
+   * on late frames, up to `Default.maxCatchUpSteps` steps per frame; beyond,
+   * the simulation slows down, rather than spiraling into ever later frames.
+   *
+   * @param {number} time The current time, in ms.
+   * @param {number} delta The time elapsed since the last frame, in ms.
+   * @return {number} The interpolation factor between the previous and the
+   *   current simulation steps, in range [0, 1[, at which to render the frame.
+   */
+  simulate( time, delta) {
+    const timestep = this._timestep;
+    if( typeof this._simulationTime === "undefined") {
+      this._simulationTime = time - delta;
+    }
+
+    this._accumulator += delta;
+    let steps = 0;
+    while( this._accumulator >= timestep && steps < Default.maxCatchUpSteps) {
+      this._simulationTime += timestep;
+      this.animate( this._simulationTime, timestep);
+      this._accumulator -= timestep;
+      steps++;
+    }
+    // Drop the time that could not be caught up with
+    if( this._accumulator >= timestep) {
+      this._accumulator %= timestep;
+    }
+
+    // In `on-demand` render mode, keep rendering the frames interpolated
+    // between two steps, as long as the last step changed anything
+    if( steps > 0) {
+      this._stepInvalidated = this._invalid;
+    } else if( this._stepInvalidated) {
+      this._invalid = true;
+    }
 
-    if( this._activeScene && this._activeCamera) {
+    return this._accumulator / timestep;
+  }
+
+  /**
+   * Propagates the render-interpolation factor to each scene, before rendering.
+   *
+   * @param {number} alpha Interpolation factor between the previous and the
+   *   current animation steps (1.0 with a variable timestep).
+   */
+  interpolate( alpha) {
+    this._scenes.forEach(( elt) => elt.interpolate( alpha));
+  }
+
+  /**
+   * Renders the active scene through the active camera — or, if there are
+   * registered ‹three-renderer› elements, renders each of their viewports.
+   *
+   * @param {number} time The virtual time of the frame, in ms, which drives
+   *   the running transition, if any (defaults to the time of the last frame).
+   */
+  draw( time = this._time) {
+    if( this._renderers.size > 0) {
+      this._renderers.forEach(( elt) => this.renderViewport( elt));
+    } else if( this._transition.running) {
+      this.drawTransition( orDefault( time, 0));
+    } else if( this._activeScene && this._activeCamera) {
       this._renderer.render(
         this._activeScene.scene,
         this._activeCamera.camera);
     }
+    if( typeof this._renderer.endFrame === "function") {
+      this._renderer.endFrame();
+    }
+  }
+
+  /**
+   * Starts a transition from given outgoing scene and camera elements to
+   * the active ones, as defined by the `transition` attribute — unless it
+   * defines a hard cut, or there are registered ‹three-renderer› elements
+   * (only the active scene and camera rendered to the whole display can be
+   * transitioned). Called upon each change of the active scene or camera.
+   *
+   * @param {ThreeScene} fromScene The outgoing ‹three-scene› element.
+   * @param {ThreeCamera} fromCamera The outgoing ‹three-camera› element.
+   * @fires: CustomEvent( "transition-start")
+   */
+  beginTransition( fromScene, fromCamera) {
+    const { type, duration } = parseTransition( this.transition),
+          transition = this._transition;
+    if( !this._initialized || type === TransitionTypeEnum.cut || this._renderers.size > 0
+        || typeof fromScene === "undefined" || typeof fromCamera === "undefined"
+        || this._scenes.get( fromScene.id) !== fromScene
+        || this._cameras.get( fromCamera.id) !== fromCamera) {
+      return;
+    }
+    // Scene and camera both changed before the transition began: it
+    // continues from the same outgoing pair, to the new active pair
+    if( transition.running && typeof transition.startTime === "undefined") {
+      return;
+    }
+    console.log( `three-app › beginTransition() ${type} of ${duration} ms, from ${fromScene.id} › ${fromCamera.id}`);
+    transition.start( type, duration, fromScene, fromCamera);
+
+    const detail = { type, duration, fromScene: fromScene.id, fromCamera: fromCamera.id };
+    this.dispatchEvent( new CustomEvent( Events.transitionStart, { detail, bubbles: true }));
+  }
+
+  /**
+   * Renders a frame of the running transition: renders the outgoing and the
+   * active scene and camera pairs into render targets, then blends them over
+   * the display — and ends the transition, once its duration elapsed.
+   *
+   * @param {number} time The virtual time of the frame, in ms.
+   * @fires: CustomEvent( "transition-end")
+   */
+  drawTransition( time) {
+    const transition = this._transition,
+          { fromScene, fromCamera } = transition,
+          toScene = this._activeScene,
+          toCamera = this._activeCamera;
+    const progress = transition.update( time);
+
+    if( progress < 1 && toScene && toCamera && fromScene.scene && fromCamera.camera) {
+      const { width, height } = this._renderer.getSize(),
+            ratio = this.getPixelRatio();
+      transition.setSize( width * ratio, height * ratio);
+      this._renderer.render( fromScene.scene, fromCamera.camera, undefined, transition.fromTarget);
+      this._renderer.render( toScene.scene, toCamera.camera, undefined, transition.toTarget);
+      this._renderer.render( transition.scene, transition.camera);
+      // Keep rendering frames, in `on-demand` render mode, until the transition ends
+      this._invalid = true;
+      return;
+    }
+
+    const { type, duration } = transition;
+    transition.stop();
+    if( toScene && toCamera) {
+      this._renderer.render( toScene.scene, toCamera.camera);
+    }
+    const detail = { type, duration, scene: this.scene, camera: this.camera };
+    this.dispatchEvent( new CustomEvent( Events.transitionEnd, { detail, bubbles: true }));
+  }
+
+  /**
+   * Renders the scene bound to a ‹three-renderer› element through its camera,
+   * in the region of the display canvas covered by its viewport. Falls back to
+   * the active scene or camera, if the element does not designate one.
+   *
+   * The frustum aspect ratio of the camera is updated to match the aspect
+   * ratio of the viewport, if it differs.
+   *
+   * @param {ThreeRenderer} rendererElt The ‹three-renderer› element to render.
+   */
+  renderViewport( rendererElt) {
+    const sceneElt = rendererElt.scene ? this._scenes.get( rendererElt.scene) : this._activeScene,
+          cameraElt = rendererElt.camera ? this._cameras.get( rendererElt.camera) : this._activeCamera;
+    if( typeof sceneElt === "undefined" || typeof cameraElt === "undefined") {
+      return;
+    }
+
+    const { width, height } = this._renderer.getSize();
+    const viewport = rendererElt.getViewport( width, height);
+    if( cameraElt.options.aspect !== viewport.ratio) {
+      cameraElt.updateAspectRatio( viewport.ratio);
+    }
+
+    this._renderer.render( sceneElt.scene, cameraElt.camera, viewport);
+  }
+
+  /**
+   * Advances a `manual` clock by given delta time, and steps and renders
+   * the animation right away, at the new virtual time — for deterministic
+   * playback, for instance in visual regression tests:
+   *
+   *     app.clock = "manual";
+   *     app.advance( 1000); // Scenes are stepped at time 1000, by 1000 ms
+   *
+   * @param {number} delta Time to advance by, in ms.
+   */
+  advance( delta) {
+    console.assert( this._initialized, "three-app › advance(): element incompletely initialized; call `init()` first.");
+    if( typeof this._clock.advance !== "function") {
+      console.warn( `three-app › advance(): clock of type \`${this._clock.type}\` cannot be advanced manually; set \`clock\` to \`manual\` first.`);
+      return;
+    }
+    const time = this._clock.advance( delta);
+    this._invalid = false;
+    this._time = time;
+    this.step( time, delta);
+    this._lastTime = time;
   }
 
   /**
    * Updates the actual FPS and actual interval timing properties,
-   * computed from the current `delta` interval.
+   * computed from the current `delta` interval — and feeds the
+   * performance overlay, if displayed (which refreshes itself at
+   * a throttled rate, rather than re-rendering this element).
    * @param {number} delta Time in millisecond, elapsed since last tick.
    */
   updateTimings( delta) {
-    const _intervalActualCurr = this._intervalActual;
-    if (delta !== _intervalActualCurr) {
-      const _fpsActualCurr = this._fpsActual;
-      this._intervalActual = delta;
-      this._fpsActual = Math.ceil(1000 / delta);
-      this.requestUpdate( "_intervalActual", _intervalActualCurr);
-      this.requestUpdate( "_fpsActual", _fpsActualCurr);
+    this._intervalActual = delta;
+    this._fpsActual = Math.ceil( 1000 / delta);
+    if( this.stats) {
+      this._statsElement.sample( delta);
+    }
+  }
+
+  /**
+   * Returns the statistics displayed by the performance overlay: the desired
+   * and actual FPS, the actual and target frame times (in ms), the active
+   * camera and scene, and the statistics of the renderer backend, if it
+   * provides any (`{ calls, triangles, geometries, textures }`).
+   */
+  getStats() {
+    return {
+      fps: this.fps,
+      actualFps: this._fpsActual,
+      frameTime: this._intervalActual,
+      targetFrameTime: this._interval,
+      pixelRatio: this.getPixelRatio(),
+      camera: this.camera,
+      scene: this.scene,
+      renderer: (typeof this._renderer.getInfo === "function") ? this._renderer.getInfo() : undefined
+    };
+  }
+
+  /**
+   * Event-listener of the `object-disposing` events of child ‹three-*›
+   * elements, which are about to dispose of their resources, once removed
+   * from the DOM: with the `leak-report` attribute, records the count of
+   * GPU resources held by the renderer, and reports the resources left
+   * over, once the element disposed of its own (@see `reportLeaks()`).
+   *
+   * @param {CustomEvent} objectDisposingEvent
+   */
+  onObjectDisposing( objectDisposingEvent) {
+    if( !this.leakReport || typeof this._renderer === "undefined"
+        || typeof this._renderer.getMemory !== "function" || this.unsupported) {
+      return;
+    }
+    const object = objectDisposingEvent.detail.object,
+          before = this._renderer.getMemory(),
+          untracked = object.getUntrackedResources(),
+          disposed = new Set(),
+          onDispose = ( event) => disposed.add( event.target);
+    // Untracked resources may still be disposed of by the element itself
+    untracked.forEach(( resource) => resource.addEventListener( "dispose", onDispose));
+    // The element disposes of its resources right after dispatching the event
+    Promise.resolve().then(() => {
+      untracked.forEach(( resource) => resource.removeEventListener( "dispose", onDispose));
+      this.reportLeaks( object, before, untracked.filter(( resource) => !disposed.has( resource)));
+    });
+  }
+
+  /**
+   * Reports the GPU resources freed and left over by a ‹three-*› element
+   * removed from the DOM: compares the count of geometries and textures
+   * held by the renderer, before and after the element disposed of its
+   * resources, and lists the resources left over — which the element
+   * neither registered with `ThreeObject.track()`, nor disposed of itself.
+   *
+   * @param {ThreeObject} object The removed element.
+   * @param {Object} before `{ geometries, textures }` held before the removal.
+   * @param {Array} leaked The resources left over by the element.
+   * @fires: CustomEvent( "leak-report")
+   */
+  reportLeaks( object, before, leaked) {
+    if( typeof this._renderer === "undefined" || typeof this._renderer.getMemory !== "function") { return; }
+    const after = this._renderer.getMemory(),
+          detail = { object, before, after, leaked },
+          name = `${object.localName}#${object.id}`,
+          freed = `freed ${before.geometries - after.geometries} geometries and ${before.textures - after.textures} textures`;
+    if( leaked.length > 0) {
+      console.warn( `three-app › reportLeaks(): ${name} ${freed}, and left ${leaked.length} untracked resources over`, leaked);
+    } else {
+      console.log( `three-app › reportLeaks(): ${name} ${freed}`);
     }
+    this.dispatchEvent( new CustomEvent( Events.leakReport, { detail, bubbles: true }));
   }
 
   /**
    * Returns the client width and height, as computed by the browser,
-   * and display ratio, of our canvas.
+   * and display ratio, of our canvas — or the size of the frames being
+   * captured, while capturing at another resolution.
    */
   getDisplaySize() {
     if( typeof this._canvas === "undefined") {
       return { width: undefined, height: undefined, ratio: undefined }
+    } else if( typeof this._captureSize !== "undefined") {
+      const { width, height } = this._captureSize;
+      return { width, height, ratio: width / height };
     } else {
       const width  = this._canvas.clientWidth,
             height = this._canvas.clientHeight,
@@ -335,6 +1711,50 @@ export class ThreeApp extends LitElement {
     }
   }
 
+  /**
+   * Returns the ratio of the size of the display buffer, to the client size
+   * of our canvas — the `pixel-ratio` attribute or the device pixel ratio,
+   * capped by the `max-pixel-ratio` attribute and scaled down by the adaptive
+   * quality level, if enabled; and 1, while capturing at another resolution.
+   */
+  getPixelRatio() {
+    if( typeof this._captureSize !== "undefined") { return 1; }
+    const pixelRatio = Math.min(
+      orDefault( this.pixelRatio, window.devicePixelRatio || 1),
+      orDefault( this.maxPixelRatio, Default.renderer.maxPixelRatio));
+    return pixelRatio * this._quality.scale;
+  }
+
+  /**
+   * Adapts the quality level to the timings of the frame just rendered,
+   * with the `adaptive-quality` attribute set — in `continuous` render mode
+   * only, where frames are expected at the desired frame rate.
+   *
+   * @param {number} frameTime Time elapsed since the previous frame, in ms.
+   * @param {number} workTime Time spent to update and render the frame, in ms.
+   */
+  adaptQuality( frameTime, workTime) {
+    if( this._quality.sample( frameTime, workTime, this._interval)) {
+      this.applyQuality();
+    }
+  }
+
+  /**
+   * Applies the pixel ratio of the current quality level to the renderer.
+   *
+   * @fires: CustomEvent( "quality-changed")
+   */
+  applyQuality() {
+    const { level, scale } = this._quality,
+          pixelRatio = this.getPixelRatio();
+    console.log( `three-app › applyQuality() at level ${level}, with a pixel ratio of ${pixelRatio}`);
+    this._renderer.setPixelRatio( pixelRatio);
+    this.invalidate();
+
+    const detail = { level, scale, pixelRatio };
+    this.dispatchEvent( new CustomEvent( Events.qualityChanged, { detail, bubbles: true }));
+  }
+
   /**
    * Returns true, when the size of the internal display buffer of
    * the renderer does not match the actual client size of our canvas;
@@ -350,12 +1770,178 @@ export class ThreeApp extends LitElement {
    * Updates the size of the display buffer of the renderer, as well
    * as the frustum aspect ratio and the projection matrix of all
    * cameras, to match the actual client size of our canvas.
+   *
+   * The `resize` event does not bubble, not to be mistaken for a resize
+   * of the window — nor to trigger our own fallback listener of the latter.
+   *
+   * @fires: CustomEvent( "resize")
    */
   resize() {
     const { width, height, ratio } = this.getDisplaySize();
     console.log( `three-app › resize() to ${width}x${height}px (ratio of 1:${ratio})`);
     this._cameras.forEach( camera => camera.updateAspectRatio( ratio));
-    this._renderer.setSize( width, height, false);
+    this._renderer.setSize( width, height);
+
+    const detail = { width, height, ratio };
+    this.dispatchEvent( new CustomEvent( Events.resize, { detail, bubbles: false }));
+  }
+
+  /**
+   * Captures the next rendered frame, as an image.
+   *
+   * If the animation loop is not running (for instance, while paused or
+   * idle in `on-demand` render mode) — or stops before its next frame —,
+   * a frame is rendered right away. The promise is rejected, if the element
+   * is not initialized yet, if its renderer backend could not be initialized
+   * (@see `unsupported`), or if the WebGL context gets lost before the next frame.
+   *
+   * @param {Object} options
+   * @param {number} options.width Width of the image, in pixels (defaults to
+   *   the size of the display buffer; or proportional to `height`, if defined).
+   * @param {number} options.height Height of the image, in pixels (same).
+   * @param {string} options.type Image format, `image/png` by default.
+   * @param {number} options.quality Image quality, in range [0, 1], for lossy formats.
+   * @param {boolean} options.dataURL Whether to return a data URL, rather than a Blob.
+   * @return {Promise<Blob|string>} The image, as a Blob or a data URL.
+   */
+  capture({ width, height, type = Default.capture.type, quality, dataURL = false } = {}) {
+    if( !this._initialized || this.unsupported) {
+      return Promise.reject( new Error( "three-app › capture(): element not initialized, or its renderer unsupported"));
+    }
+    return new Promise(( resolve, reject) => {
+      this._captureRequests.push({ width, height, type, quality, dataURL, resolve, reject });
+      if( this.running) {
+        this.invalidate();
+      } else {
+        this.draw();
+        this.processCaptures();
+      }
+    });
+  }
+
+  /**
+   * Fulfills the pending capture requests, from the frame just rendered —
+   * or re-rendering it at the requested resolution, if it differs.
+   */
+  processCaptures() {
+    const requests = this._captureRequests;
+    this._captureRequests = [];
+
+    requests.forEach(( request) => {
+      const { width, height, type, quality, dataURL, resolve } = request;
+      const resized = (typeof width !== "undefined" || typeof height !== "undefined");
+      if( resized) {
+        this.beginCapture( width, height);
+        this.draw();
+      }
+      resolve( dataURL
+        ? this._canvas.toDataURL( type, quality)
+        : canvasToBlob( this._canvas, type, quality));
+      if( resized) {
+        this.endCapture();
+        this.draw();
+      }
+    });
+  }
+
+  /**
+   * Resizes the display buffer to given capture resolution (at a pixel ratio
+   * of 1), until `endCapture()` is called. If only one of width or height is
+   * defined, the other one is derived from the aspect ratio of the display.
+   *
+   * @param {number} width Width of the captured frames, in pixels.
+   * @param {number} height Height of the captured frames, in pixels.
+   */
+  beginCapture( width, height) {
+    const { ratio } = this.getDisplaySize();
+    width = orDefault( width, Math.round( height * ratio));
+    height = orDefault( height, Math.round( width / ratio));
+    console.log( `three-app › beginCapture() at ${width}x${height}px`);
+
+    this._captureSize = { width, height };
+    this._renderer.setPixelRatio( this.getPixelRatio());
+    this.resize();
+  }
+
+  /**
+   * Restores the display buffer to the size of the display, after
+   * frames were captured at another resolution.
+   */
+  endCapture() {
+    if( typeof this._captureSize === "undefined") { return; }
+    console.log( "three-app › endCapture()");
+
+    this._captureSize = undefined;
+    this._renderer.setPixelRatio( this.getPixelRatio());
+    this.resize();
+    this.invalidate();
+  }
+
+  /**
+   * Exports an image sequence of the animation, stepping it at a fixed virtual
+   * time interval per frame — as fast as the machine allows, independently of
+   * the actual frame rate. The animation loop is suspended meanwhile.
+   *
+   * Each frame is emitted as a numbered image, with a `frame-exported` event
+   * and to the `onFrame` callback (which may return a promise, to be awaited
+   * before the next frame is rendered — for instance, while saving the image).
+   *
+   * @param {Object} options
+   * @param {number} options.fps Frame rate of the sequence, 60 by default.
+   * @param {number} options.duration Duration of the sequence, in ms.
+   * @param {number} options.width Width of the images, in pixels (see `capture()`).
+   * @param {number} options.height Height of the images, in pixels (see `capture()`).
+   * @param {string} options.type Image format, `image/png` by default.
+   * @param {string} options.prefix Prefix of the filenames of the images, `frame-` by default.
+   * @param {Function} options.onFrame Callback, called with the same detail
+   *   as the `frame-exported` event: `{ index, count, time, filename, blob }`.
+   * @return {Promise<number>} The count of exported frames, once done —
+   *   rejected, if the element is not initialized yet, if its renderer is
+   *   unsupported, or if `duration` or `fps` is not a positive number.
+   * @fires: CustomEvent( "frame-exported")
+   */
+  async exportFrames({ fps = Default.fps, duration, width, height,
+      type = Default.capture.type, prefix = Default.capture.filenamePrefix, onFrame } = {}) {
+    if( !this._initialized || this.unsupported) {
+      throw new Error( "three-app › exportFrames(): element not initialized, or its renderer unsupported");
+    }
+    if( !( duration > 0) || !( fps > 0)) {
+      throw new Error( `three-app › exportFrames(): expected a positive duration and fps, got ${duration} and ${fps}`);
+    }
+    const count = Math.round( duration * fps / 1000),
+          delta = 1000 / fps,
+          extension = type.split( "/").pop(),
+          digits = Math.max( 6, String( count).length);
+    console.log( `three-app › exportFrames() of ${count} frames at ${fps} FPS`);
+
+    this._exporting = true;
+    this.stop();
+    if( typeof width !== "undefined" || typeof height !== "undefined") {
+      this.beginCapture( width, height);
+    }
+
+    let time = orDefault( this._time, 0);
+    try {
+      for( let index = 0; index < count; index++) {
+        time += delta;
+        this.step( time, delta);
+
+        const blob = await canvasToBlob( this._canvas, type),
+              filename = `${prefix}${String( index).padStart( digits, "0")}.${extension}`,
+              detail = { index, count, time, filename, blob };
+        this.dispatchEvent( new CustomEvent( Events.frameExported, { detail, bubbles: true }));
+        if( typeof onFrame === "function") {
+          await onFrame( detail);
+        }
+      }
+    } finally {
+      this._time = this._lastTime = this._clock.time = time;
+      this.endCapture();
+      this.draw();
+      this._exporting = false;
+      this.updateLoop();
+    }
+    return count;
   }
 
   /**
@@ -435,6 +2021,65 @@ export class ThreeApp extends LitElement {
     this._scenes.delete( id);
     this.scene = null; // setter will default to first remaining scene
   }
+
+  /**
+   * Event-listener that registers the ‹three-scene› element, that fired this
+   * event, under its new identifier — at the same position in the map of
+   * registered scenes. If it is the active scene, the `scene` attribute is
+   * updated and a `scene-changed` event is fired, with both identifiers.
+   *
+   * @param {CustomEvent} sceneRenamedEvent
+   * @fires: CustomEvent( "scene-changed")
+   */
+  renameScene( sceneRenamedEvent) {
+    const { scene, oldId } = sceneRenamedEvent.detail;
+    console.log( `three-app › renameScene( ${oldId} › ${scene.id})`);
+    this._scenes = new Map( Array.from( this._scenes)
+      .filter(([ id, elt ]) => elt !== scene || id === oldId)
+      .map(([ id, elt ]) => (elt === scene) ? [ scene.id, elt ] : [ id, elt ]));
+
+    if( this._activeScene === scene) {
+      this.requestUpdate( "scene", oldId);
+      const detail = { oldScene: oldId, newScene: scene.id };
+      this.dispatchEvent( new CustomEvent( Events.sceneChanged, { detail, bubbles: true }));
+    }
+  }
+
+  /**
+   * Event-listener that registers the reference to the ‹three-renderer›
+   * element, that fired this event. Once at least one renderer is registered,
+   * only the viewports of the registered renderers are rendered.
+   *
+   * @param {CustomEvent} rendererConnectedEvent
+   */
+  registerRenderer( rendererConnectedEvent) {
+    const { renderer } = rendererConnectedEvent.detail;
+    const { id } = renderer;
+    console.log( `three-app › registerRenderer( ${id})`);
+    this._renderers.set( id, renderer);
+    this.invalidate();
+  }
+
+  /**
+   * Event-listener that deregisters the reference to the ‹three-renderer›
+   * element, that fired this event.
+   *
+   * @param {CustomEvent} rendererDisconnectedEvent
+   */
+  deregisterRenderer( rendererDisconnectedEvent) {
+    const { id } = rendererDisconnectedEvent.detail.renderer;
+    console.log( `three-app › deregisterRenderer( ${id})`);
+    this._renderers.delete( id);
+    this.invalidate();
+  }
+}
+
+// Flags the material(s) of an `Object3D` for recompilation
+function updateMaterials( object) {
+  const materials = Array.isArray( object.material) ? object.material : [ object.material ];
+  materials.forEach(( material) => {
+    if( material) { material.needsUpdate = true; }
+  });
 }
 
 // Register the element with the browser
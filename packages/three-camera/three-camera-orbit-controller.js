@@ -26,6 +26,20 @@ export class ThreeCameraOrbitController extends ThreeCameraController {
 
     this.orbitter = new OrbitControls( camera.camera); // Will add its event listeners to document, by default
     this.orbitter.autoRotate = Default.orbitter.autorotate;
+    if( Array.isArray( camera.lookAt)) {
+      this.target = camera.lookAt; // Orbit around the position the camera looks at
+    }
+
+    // Request a new frame, each time the camera was orbited, dollied or panned
+    this.onChange = () => this.camera.invalidate();
+    this.orbitter.addEventListener( "change", this.onChange);
+  }
+
+  // Getter and setter for the `target` property: the position
+  // the camera orbits around, as `[ x, y, z ]`.
+  get target() { return this.orbitter.target.toArray(); }
+  set target([ x, y, z ]) {
+    this.orbitter.target.set( x, y, z);
   }
 
   step( time, delta) {
@@ -34,6 +48,7 @@ export class ThreeCameraOrbitController extends ThreeCameraController {
 
   dispose() {
     super.dispose();
+    this.orbitter.removeEventListener( "change", this.onChange);
     this.orbitter.dispose(); // Remove all event listeners from document
     this.orbitter = undefined;
   }
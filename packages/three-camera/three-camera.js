@@ -36,13 +36,15 @@ export const Default = Object.freeze({
 
 export const Events = Object.freeze({
   cameraConnected: "camera-connected",
-  cameraDisconnected: "camera-disconnected"
+  cameraDisconnected: "camera-disconnected",
+  cameraInvalidated: "camera-invalidated"
 });
 
 /**
  *
  * @fires: CustomEvent( "camera-connected")
  * @fires: CustomEvent( "camera-disconnected")
+ * @fires: CustomEvent( "camera-invalidated")
  */
 export class ThreeCamera extends LitElement {
 
@@ -173,6 +175,7 @@ export class ThreeCamera extends LitElement {
     if( changedProperties.has( "controls")) {
       this.updateControls();
     }
+    this.invalidate();
   }
 
   createCamera() {
@@ -224,6 +227,10 @@ export class ThreeCamera extends LitElement {
       const [ x, y, z ] = lookAt;
       this._camera.lookAt( x, y, z);
       this._camera.updateProjectionMatrix();
+      // Have the orbit controller, if any, orbit around the new position
+      if( typeof this._controllers.orbitter !== "undefined") {
+        this._controllers.orbitter.target = lookAt;
+      }
     }
   }
 
@@ -272,6 +279,36 @@ export class ThreeCamera extends LitElement {
     }
   }
 
+  /**
+   * Returns the current viewpoint of the camera, as `{ position, lookAt, zoom }`
+   * — which differs from its `position`, `lookAt` and `zoom` properties, once
+   * moved by its controllers. Used by the parent ‹three-app› element, to
+   * mirror the viewpoint into the URL hash.
+   */
+  getViewpoint() {
+    const orbitter = this._controllers.orbitter;
+    return {
+      position: this._camera.position.toArray(),
+      lookAt: (typeof orbitter !== "undefined") ? orbitter.target : this.lookAt,
+      zoom: this._camera.zoom
+    };
+  }
+
+  /**
+   * Returns a short description of the camera, for assistive technologies:
+   * its `aria-label` attribute (or its identifier), followed by its current
+   * viewpoint — announced by the parent ‹three-app› element, once moved.
+   */
+  describe() {
+    const label = this.getAttribute( "aria-label") || `Camera ${this.id}`;
+    if( typeof this._camera === "undefined") {
+      return label;
+    }
+    const { position, lookAt } = this.getViewpoint(),
+          format = ( vector) => vector.map(( coord) => Math.round( coord * 10) / 10 || 0).join( ", ");
+    return `${label}, at ${format( position)}, looking at ${format( lookAt)}`;
+  }
+
   /**
    * Sets the frustrum aspect ratio of the camera and updates its
    * projection matrix accordingly.
@@ -336,6 +373,21 @@ export class ThreeCamera extends LitElement {
     });
     this.dispatchEvent( cameraDisconnected);
   }
+
+  /**
+   * Requests the parent ‹three-app› element to render a new frame, in its
+   * `on-demand` render mode — called upon each change of the properties
+   * of the camera, as well as by its controllers, when they moved it.
+   *
+   * @fires: CustomEvent( "camera-invalidated")
+   */
+  invalidate() {
+    const cameraInvalidated = new CustomEvent( Events.cameraInvalidated, {
+      detail: { camera: this },
+      bubbles: true
+    });
+    this.dispatchEvent( cameraInvalidated);
+  }
 }
 
 // Register the element with the browser
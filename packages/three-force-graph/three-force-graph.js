@@ -33,8 +33,6 @@ export const Default = Object.freeze({
     {id: "2", data: {desc: "Second node", config: {nodeColor: 0x00FF00}}},
     {id: "3", data: {desc: "Third node", config: {nodeColor: 0x0000FF}}},
   ],
-  position:         [ 0, 0, 0 ],            // TODO: check if still needed
-  rotation:         [ Math.PI / 2, 0, 0 ],  // TODO: check if still needed
   animate:          true,
   generate:         0,
   generateSpeed:    50,
@@ -76,10 +74,7 @@ export class ThreeForceGraph extends ThreeObject {
   static get properties() {
     return {
       verbose:       { type: Boolean },                // Displays the debugging console messages
-      id:            { type: String },                 // Identifier of the camera in the animation
       data:          { type: Array, attribute: "data"},
-      position:      { type: Array, reflect: true },   // Planet position at [ x, y, z ]
-      rotation:      { type: Array, reflect: true },   // Planet rotated on axis [ x, y, z ] (in radians)
       animate:       { type: Boolean, reflect: true }, // Whether or not to animate the globe
       generate:      { type: Number, reflect: true },  // Number of nodes to generates
       generateSpeed: { type: Number, reflect: true },  // Speed of the generation (if `generate` is true) in ms
@@ -100,7 +95,6 @@ export class ThreeForceGraph extends ThreeObject {
       _nodesMeshes:   { type: Array },  // Contains the nodes meshes
       _nodesCounter:  { type: Number }, // The counter of generated nodes
       _linksMeshes:   { type: Array },  // Containes the links meshes
-      __disposables:  { type: Array },  // Object of the scene that should be disposed
     };
   }
 
@@ -112,8 +106,6 @@ export class ThreeForceGraph extends ThreeObject {
     // Initialize public properties
     this.id            = Default.id;
     this.data          = Default.data
-    this.position      = Default.position;
-    this.rotation      = Default.rotation;
     this.animate       = Default.animate;
     this.generate      = Default.generate;
     this.generateSpeed = Default.generateSpeed;
@@ -126,13 +118,12 @@ export class ThreeForceGraph extends ThreeObject {
 
     // Initialize the private properties
     this._textureLoader = new TextureLoader();
-    this._earthTexture  = this._textureLoader.load( "assets/textures/land_ocean_ice_cloud_2048.jpg");
+    this._earthTexture  = this.track( this._textureLoader.load( "assets/textures/land_ocean_ice_cloud_2048.jpg"));
     this._graph         = {};               // ngraph graph
     this._group         = null; // Group that contains nodes, links and earth
     this._nodesMeshes   = [];
     this._nodesCounter  = 0;
     this._linksMeshes   = [];
-    this.__disposables  = [];
 
     // Initialize the ngraph force layout 3D with its physics settings
     var {g, layout} = window.ngraph.forcelayout3d(Default.physicsSettings)
@@ -148,7 +139,7 @@ export class ThreeForceGraph extends ThreeObject {
   init() {
     super.init();
     this.log( "init()");
-    this.scene.add( this._light);
+    this.object3D.add( this._light);
   }
 
   /** Initialize the earth sphere with its texture */
@@ -203,6 +194,7 @@ export class ThreeForceGraph extends ThreeObject {
    *   properties; values are the corresponding _previous_ values.
    */
   updated( changedProperties) {
+    super.updated( changedProperties);
     if(changedProperties.has('data') ||
        changedProperties.has('generate')){
       if(this.data != changedProperties.data){
@@ -329,9 +321,18 @@ export class ThreeForceGraph extends ThreeObject {
       this._layout.step();
       this._updateNodes(time);
       this._updateLinks();
+      this.invalidate();
     }
   }
 
+  /**
+   * Describes the graph to assistive technologies, unless the element
+   * has an `aria-label` attribute.
+   */
+  describe() {
+    return super.describe() || `Force graph with ${this._nodesCounter} nodes`;
+  }
+
 
   /**
     * Updates the position of the nodes meshes according to the position in the
@@ -400,28 +401,11 @@ export class ThreeForceGraph extends ThreeObject {
   }
 
   /**
-   * Dispose THREE resources, when element gets disconnected from DOM,
-   * to avoid memory leaks.
+   * The THREE resources of the graph are registered with `track()`, and
+   * disposed of by `ThreeObject`, when the element gets disconnected.
    */
   dispose() {
     this.log( "dispose()");
-
-    this._earthTexture = undefined;
-    this._textureLoader = undefined;
-
-
-    this.scene.remove( this._earth);
-    this.scene.remove( this._light);
-
-    this._earth.geometry = undefined;
-    this._earth.material = undefined;
-    this._earth = undefined;
-    this._light = undefined;
-
-    this.__disposables.forEach( (el) => {
-      el = undefined
-    });
-
   }
 
   refresh() {
@@ -439,11 +423,13 @@ export class ThreeForceGraph extends ThreeObject {
         this.addNodeWithLink(d);
       });
     }
-    this.scene.add( this._group);
+    this.object3D.add( this._group);
+    this.invalidate();
   }
 
   clear() {
-    this.scene.remove(this._group);
+    this.object3D.remove(this._group);
+    this.untrack(this._group); // Disposes of the nodes and links
     this._group = new ThreeGroup();
     this._graph.clear();
   }
@@ -455,9 +441,9 @@ export class ThreeForceGraph extends ThreeObject {
     }
   }
 
+  /** Registers given resource or object, to be disposed of (@see `ThreeObject.track()`) */
   disposable(obj) {
-    this.__disposables.push(obj);
-    return obj;
+    return this.track(obj);
   }
 }
 
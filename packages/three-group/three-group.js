@@ -0,0 +1,114 @@
+import { html, css } from "lit-element";
+import { ThreeObject } from "@petitatelier/three-object";
+
+export const Default = Object.freeze({
+  id: "defaultGroup"
+});
+
+/**
+ * A group of ‹three-*› elements, whose root objects are added to the root
+ * object of the group rather than to the scene — for them to follow the
+ * position, rotation, scale and visibility of the group (@see the common
+ * attributes of `ThreeObject`), which may itself be nested in another group:
+ *
+ *     ‹three-scene id="s01"›
+ *       ‹three-group id="system" position="[ 0, 0, 1 ]" rotation="[ 0, 0, 0.5 ]"›
+ *         ‹three-planet id="earth"›
+ *         ‹three-group id="satellites" scale="[ 0.5, 0.5, 0.5 ]"›
+ *           …
+ *         ‹/three-group›
+ *       ‹/three-group›
+ *     ‹/three-scene›
+ *
+ * Propagates the animation steps, the render-interpolation factor and the
+ * restoration of the WebGL context to its child ‹three-*› elements — as its
+ * parent ‹three-scene› element does to its own children.
+ */
+export class ThreeGroup extends ThreeObject {
+
+  static get styles() {
+    return css`
+      :host { position: relative }
+      :host([ hidden]) { display: none }
+    `;
+  }
+
+  render() {
+    return html`
+      <p>Group ${this.id}</p>
+      <slot></slot>`;
+  }
+
+  constructor() {
+    // Must call superconstructor first.
+    super();
+
+    console.log( "three-group › constructor()");
+
+    // Initialize public properties
+    this.id = Default.id;
+  }
+
+  /**
+   * Propagates the animation step to the child ‹three-*› elements.
+   * Don't forget to call `super.step( time, delta)`, when overriding.
+   */
+  step( time, delta) {
+    super.step( time, delta);
+    for( let i = 0; i < this.children.length; i++) {
+      const elt = this.children[ i];
+      if( elt instanceof ThreeObject) {
+        elt.step( time, delta);
+      }
+    }
+  }
+
+  /**
+   * Propagates the render-interpolation factor to the child ‹three-*›
+   * elements, before the scene gets rendered.
+   */
+  interpolate( alpha) {
+    super.interpolate( alpha);
+    for( let i = 0; i < this.children.length; i++) {
+      const elt = this.children[ i];
+      if( elt instanceof ThreeObject) {
+        elt.interpolate( alpha);
+      }
+    }
+  }
+
+  /**
+   * Asks the child ‹three-*› elements to restore their own resources,
+   * after the WebGL context was lost and restored.
+   */
+  restore() {
+    super.restore();
+    for( let i = 0; i < this.children.length; i++) {
+      const elt = this.children[ i];
+      if( elt instanceof ThreeObject) {
+        elt.restore();
+      }
+    }
+  }
+
+  /**
+   * Describes the group to assistive technologies: its `aria-label`
+   * attribute, if any, followed by the descriptions of its child
+   * ‹three-*› elements — or undefined, if there is nothing to describe.
+   */
+  describe() {
+    const label = super.describe(),
+          descriptions = Array.from( this.children)
+            .filter(( elt) => elt instanceof ThreeObject)
+            .map(( elt) => elt.describe())
+            .filter(( description) => typeof description !== "undefined");
+    if( descriptions.length === 0) {
+      return label;
+    }
+    const summary = descriptions.join( "; ");
+    return (typeof label !== "undefined") ? `${label}: ${summary}` : summary;
+  }
+}
+
+// Register the element with the browser
+customElements.define( "three-group", ThreeGroup);
@@ -0,0 +1,155 @@
+import { Object3D, Texture } from "three";
+
+// Count of the connected ‹three-*› elements tracking each resource,
+// which gets disposed of, once none of them uses it anymore
+const references = new Map();
+
+// Releases a reference to given resource, and disposes of it, if it was the last one
+function unreference( resource) {
+  const count = (references.get( resource) || 1) - 1;
+  if( count > 0) {
+    references.set( resource, count);
+  } else {
+    references.delete( resource);
+    resource.dispose();
+  }
+}
+
+// Adds the textures of given material to given set
+function collectTextures( material, resources) {
+  Object.keys( material).forEach(( key) => {
+    const value = material[ key];
+    if( value instanceof Texture) {
+      resources.add( value);
+    }
+  });
+}
+
+/**
+ * Returns the geometries, materials and textures of given object and of its
+ * descendants — except those of the descendants which are in given set of
+ * excluded objects (such as the root objects of nested ‹three-*› elements),
+ * and of their own descendants, and except the given ignored resources
+ * (such as the environment map, which the parent scene owns).
+ *
+ * @param {Object3D} object The object.
+ * @param {WeakSet} excluded The objects to leave out, with their descendants.
+ * @param {Set} ignored The resources to leave out.
+ * @return {Set} The resources, which have a `dispose()` method.
+ */
+export function collectResources( object, excluded = new WeakSet(), ignored = new Set()) {
+  const resources = new Set(),
+        visit = ( current) => {
+          if( current.geometry) {
+            resources.add( current.geometry);
+          }
+          const materials = Array.isArray( current.material) ? current.material : [ current.material ];
+          materials.forEach(( material) => {
+            if( material) {
+              resources.add( material);
+              collectTextures( material, resources);
+            }
+          });
+          current.children
+            .filter(( child) => !excluded.has( child))
+            .forEach( visit);
+        };
+  visit( object);
+  ignored.forEach(( resource) => resources.delete( resource));
+  return resources;
+}
+
+/**
+ * The resources of a ‹three-*› element — geometries, materials, textures,
+ * render targets, or any object with a `dispose()` method —, which get
+ * disposed of, once the element gets disconnected from the DOM.
+ *
+ * Resources are reference-counted over all connected elements: a resource
+ * shared by several elements, such as a texture, gets disposed of only once
+ * the last of them gets disconnected. The resources stay tracked while the
+ * element is disconnected — THREE uploading them anew upon next rendering,
+ * should the element be connected again.
+ */
+export class ThreeObjectResources {
+
+  constructor() {
+    this._resources = new Set(); // Resources tracked by the element
+    this._acquired = false;      // Whether the element holds a reference to its resources
+  }
+
+  /**
+   * Getter which returns the count of tracked resources.
+   */
+  get size() {
+    return this._resources.size;
+  }
+
+  /**
+   * Returns true, if given resource is tracked.
+   *
+   * @param {Object} resource The resource.
+   */
+  has( resource) {
+    return this._resources.has( resource);
+  }
+
+  /**
+   * Tracks given resource — or the geometries, materials and textures of
+   * given `Object3D` and its descendants (@see `collectResources()`),
+   * except the given ignored ones.
+   *
+   * @param {Object} resource The resource or object.
+   * @param {Set} ignored The resources of the object to leave untracked.
+   * @return {Object} The given resource or object.
+   */
+  track( resource, ignored) {
+    const resources = (resource instanceof Object3D) ? collectResources( resource, undefined, ignored) : [ resource ];
+    resources.forEach(( current) => {
+      if( typeof current.dispose !== "function" || this._resources.has( current)) { return; }
+      this._resources.add( current);
+      if( this._acquired) {
+        references.set( current, (references.get( current) || 0) + 1);
+      }
+    });
+    return resource;
+  }
+
+  /**
+   * Stops tracking given resource — or the resources of given `Object3D` —,
+   * and disposes of it, unless used by another element.
+   *
+   * @param {Object} resource The resource or object.
+   */
+  untrack( resource) {
+    const resources = (resource instanceof Object3D) ? collectResources( resource) : [ resource ];
+    resources.forEach(( current) => {
+      if( !this._resources.has( current)) { return; }
+      this._resources.delete( current);
+      if( this._acquired) {
+        unreference( current);
+      }
+    });
+  }
+
+  /**
+   * Takes a reference to all tracked resources, once the element
+   * was connected.
+   */
+  acquire() {
+    if( this._acquired) { return; }
+    this._acquired = true;
+    this._resources.forEach(( resource) =>
+      references.set( resource, (references.get( resource) || 0) + 1));
+  }
+
+  /**
+   * Releases the references to all tracked resources, once the element was
+   * disconnected — disposing of the resources, which no other connected
+   * element uses.
+   */
+  release() {
+    if( !this._acquired) { return; }
+    this._acquired = false;
+    this._resources.forEach( unreference);
+  }
+}
@@ -1,13 +1,113 @@
 import { ThreeScene } from "@petitatelier/three-scene";
 import { LitElement } from "lit-element";
+import { Group } from "three";
+import { ThreeObjectResources, collectResources } from "@petitatelier/three-object/three-object-resources";
 
+export const Default = Object.freeze({
+  position: [ 0, 0, 0 ],
+  rotation: [ 0, 0, 0, "XYZ" ],
+  scale: [ 1, 1, 1 ],
+  quaternion: [ 0, 0, 0, 1 ]
+});
+
+export const Events = Object.freeze({
+  objectInvalidated: "object-invalidated",
+  objectDisposing: "object-disposing"
+});
+
+// Root objects of all ‹three-*› elements, to tell them apart from
+// the objects they contain (@see `setShadows()`)
+const roots = new WeakSet();
+
+// Sets the shadow flags of given object and of its descendants — except
+// the root objects of nested ‹three-*› elements, which have their own flags
+function setShadows( object, castShadow, receiveShadow) {
+  object.castShadow = castShadow;
+  object.receiveShadow = receiveShadow;
+  object.children
+    .filter(( child) => !roots.has( child))
+    .forEach(( child) => setShadows( child, castShadow, receiveShadow));
+}
+
+// Resources which the given parent ‹three-scene› element sets on the objects
+// of its child elements, and disposes of itself: its environment map
+function sceneResources( sceneElement) {
+  const environmentMap = (typeof sceneElement !== "undefined") ? sceneElement.environmentMap : null;
+  return new Set( environmentMap ? [ environmentMap ] : []);
+}
+
+/**
+ * Base class of the ‹three-*› elements, which add objects to a scene.
+ * Each element owns a root `Object3D` (@see the `object3D` getter),
+ * to which its subclasses add their own objects — for them to follow
+ * the common attributes of the element:
+ *
+ *     ‹three-planet id="earth"
+ *         position="[ 0, 0, 1 ]" rotation='[ 0.5, 0, 0, "ZXY" ]' scale="[ 2, 2, 2 ]"
+ *         cast-shadow receive-shadow hidden›
+ *
+ * @fires: CustomEvent( "object-invalidated")
+ * @fires: CustomEvent( "object-disposing")
+ */
 export class ThreeObject extends LitElement {
 
+  /**
+   * Attributes and properties observed by Lit-Element, common to all
+   * ‹three-*› elements, and applied to their root `Object3D`. Subclasses
+   * inherit them, and declare their own properties only.
+   */
+  static get properties() {
+    return {
+      id: { type: String },                         // Identifier of the element, and name of its root object
+      position: { type: Array, reflect: true },     // Position at `[ x, y, z ]`, relative to its container
+      rotation: { type: Array, reflect: true },     // Rotation on axis `[ x, y, z ]` (in radians), optionally followed by the order of the axis, such as `"ZXY"`
+      scale: { type: Array, reflect: true },        // Scale on axis `[ x, y, z ]`
+      quaternion: { type: Array, reflect: true },   // Rotation as a quaternion `[ x, y, z, w ]`, overriding `rotation`
+      hidden: { type: Boolean, reflect: true },     // Whether the object is hidden (@see the `visible` property)
+      castShadow: { type: Boolean, reflect: true, attribute: "cast-shadow" },      // Whether the objects cast shadows
+      receiveShadow: { type: Boolean, reflect: true, attribute: "receive-shadow" } // Whether the objects receive shadows
+    };
+  }
+
+  /**
+   * Getter which returns the root `Object3D` of the element — a THREE
+   * `Group` —, to which subclasses should add their own objects (such as
+   * their meshes and lights), for them to follow the transforms, visibility
+   * and shadow flags of the element. It gets added to the `container` of the
+   * element, when the element is connected, and removed from it, when the
+   * element is disconnected.
+   */
+  get object3D() {
+    return this._object3D;
+  }
+
+  // Getter and setter for the `visible` property: the opposite of the
+  // `hidden` property, as the `visible` property of THREE objects.
+  get visible() { return !this.hidden; }
+  set visible( visible) {
+    this.hidden = !visible;
+  }
+
   get scene() {
     return (typeof this._sceneElement !== "undefined")
       ? this._sceneElement.scene : undefined;
   }
 
+  /**
+   * Getter which returns the THREE object, to which the root `Object3D` of
+   * the element is added: the one of its closest ‹three-group› ancestor,
+   * if any — for it to follow the transforms of the group —, or else
+   * the scene.
+   */
+  get container() {
+    const containerElement = this._containerElement;
+    if( typeof containerElement === "undefined") {
+      return undefined;
+    }
+    return (containerElement === this._sceneElement)
+      ? containerElement.scene : containerElement.object3D;
+  }
+
   constructor() {
     console.log( "three-object › constructor()");
 
@@ -16,12 +116,22 @@ export class ThreeObject extends LitElement {
 
     // Initialize private properties
     this._sceneElement = undefined;   // Reference to parent scene element
+    this._containerElement = undefined; // Reference to closest ‹three-group› ancestor, or parent scene element
+    this._object3D = new Group();     // Root object of the element, kept for the lifetime of the element
+    roots.add( this._object3D);
+    this._resources = new ThreeObjectResources(); // Resources disposed of, when the element gets disconnected
+
+    // Initialize public properties
+    this.castShadow = false;
+    this.receiveShadow = false;
   }
 
   /**
    * Override, to initialize the object upon construction (called
    * by `ThreeScene.init()`) or later dynamic addition to the DOM
-   * (called by `connectedCallback()`).
+   * (called by `connectedCallback()`). Add the objects of the element
+   * to its root `object3D`, rather than to its `scene`, for them to follow
+   * the transforms of the element, and of an enclosing ‹three-group›.
    */
   init() {
   }
@@ -33,12 +143,154 @@ export class ThreeObject extends LitElement {
   }
 
   /**
-   * Override, to dispose THREE cached resources, when element gets
-   * disconnected from DOM, to avoid memory leaks.
+   * Override, to smooth the rendering of the object between two animation
+   * steps, when its parent ‹three-app› runs at a fixed `simulation-rate`:
+   * display the state interpolated between its previous and current steps.
+   *
+   * @param {number} alpha Interpolation factor, in range [0, 1] (1.0 with a
+   *   variable timestep, that is, display the state of the current step).
+   */
+  interpolate( alpha) {
+  }
+
+  /**
+   * Override, to re-create the resources of the object that THREE cannot
+   * restore by itself, after the WebGL context was lost and restored —
+   * such as render targets, or textures drawn at runtime. Called by
+   * `ThreeScene.restore()`; the materials of the scene are already
+   * flagged for recompilation, and its geometries and loaded textures
+   * get re-uploaded upon next rendering.
+   */
+  restore() {
+  }
+
+  /**
+   * Override, to describe the object to assistive technologies, in a few
+   * words — such as "Earth, rotating". Called by `ThreeScene.describe()`,
+   * for the parent ‹three-app› element to summarise its active scene.
    *
-   * Normally, resources get automatically garbage collected.
+   * @return {string} The `aria-label` attribute of the element, by default
+   *   (undefined, if none: the object is then left out of the summary).
+   */
+  describe() {
+    return this.getAttribute( "aria-label") || undefined;
+  }
+
+  /**
+   * Requests the parent ‹three-app› element to render a new frame — which it
+   * would otherwise not do, in its `on-demand` render mode. Called upon each
+   * change of the properties of the element; call it from subclasses, each
+   * time the object changed otherwise (for instance, when animated in `step()`).
+   *
+   * @fires: CustomEvent( "object-invalidated")
+   */
+  invalidate() {
+    const objectInvalidated = new CustomEvent( Events.objectInvalidated, {
+      detail: { object: this },
+      bubbles: true
+    });
+    this.dispatchEvent( objectInvalidated);
+  }
+
+  /**
+   * Will be called after `firstUpdated()` — that is, upon element
+   * creation —, as well as each time any attribute/property of
+   * the element was changed. Applies the common attributes of the
+   * element to its root `Object3D`. Don't forget to call
+   * `super.updated()` when overriding, to request a new frame
+   * to be rendered.
    *
-   * Some THREE objects however require manual disposal of their resources;
+   * @param {Map} changedProperties Keys are the names of changed
+   *   properties; values are the corresponding _previous_ values.
+   */
+  updated( changedProperties) {
+    super.updated( changedProperties);
+    const object = this._object3D;
+    if( changedProperties.has( "id")) {
+      object.name = this.id || "";
+    }
+    if( changedProperties.has( "position")) {
+      object.position.fromArray( this.position || Default.position);
+    }
+    if( changedProperties.has( "rotation")) {
+      const [ x, y, z, order ] = this.rotation || Default.rotation;
+      object.rotation.set( x, y, z, order || Default.rotation[ 3]);
+    }
+    // Applied after the rotation, for the quaternion to override it
+    if( changedProperties.has( "quaternion") && Array.isArray( this.quaternion)) {
+      object.quaternion.fromArray( this.quaternion);
+    }
+    if( changedProperties.has( "scale")) {
+      object.scale.fromArray( this.scale || Default.scale);
+    }
+    if( changedProperties.has( "hidden")) {
+      object.visible = this.visible;
+    }
+    if( changedProperties.has( "castShadow") || changedProperties.has( "receiveShadow")) {
+      this.updateShadows();
+    }
+    this.invalidate();
+  }
+
+  /**
+   * Sets the `cast-shadow` and `receive-shadow` flags of the element on
+   * its root `Object3D` and its descendants — except the ones of nested
+   * ‹three-*› elements. Called upon each change of these flags, and once
+   * the element was initialized; call it from subclasses, each time they
+   * added objects later on.
+   */
+  updateShadows() {
+    setShadows( this._object3D, this.castShadow, this.receiveShadow);
+  }
+
+  /**
+   * Registers given resource — a geometry, material, texture, render target,
+   * or any object with a `dispose()` method — to be disposed of, when the
+   * element gets disconnected from the DOM; or, given an `Object3D`, the
+   * geometries, materials and textures of the object and its descendants.
+   * Resources are reference-counted: a resource shared by several elements
+   * gets disposed of, once the last of them gets disconnected. The
+   * environment map of the parent scene is never tracked, as the scene owns it.
+   *
+   * @param {Object} resource The resource or object.
+   * @return {Object} The given resource or object, for chaining.
+   */
+  track( resource) {
+    return this._resources.track( resource, sceneResources( this._sceneElement));
+  }
+
+  /**
+   * Stops tracking given resource — or the resources of given `Object3D` —,
+   * once the element does not use it anymore, and disposes of it, unless
+   * another element uses it.
+   *
+   * @param {Object} resource The resource or object.
+   */
+  untrack( resource) {
+    this._resources.untrack( resource);
+  }
+
+  /**
+   * Returns the geometries, materials and textures of the objects of the
+   * element — except the ones of nested ‹three-*› elements, and the
+   * environment map of the parent scene —, which were
+   * not registered with `track()`, and therefore won't be disposed of,
+   * when the element gets disconnected (@see the `leak-report` attribute
+   * of the ‹three-app› element).
+   *
+   * @return {Array} The untracked resources.
+   */
+  getUntrackedResources() {
+    return Array.from( collectResources( this._object3D, roots, sceneResources( this._sceneElement)))
+      .filter(( resource) => !this._resources.has( resource));
+  }
+
+  /**
+   * Override, to dispose THREE cached resources, when element gets
+   * disconnected from DOM, to avoid memory leaks — other than the ones
+   * registered with `track()`, which get disposed of afterwards.
+   *
+   * Some THREE objects require manual disposal of their resources;
    * look at THREE.js docs for every  `Object3D` being used, if it has a
    * `dispose()` method, or if there are special instructions for disposal.
    */
@@ -57,6 +309,9 @@ export class ThreeObject extends LitElement {
     super.connectedCallback();
     console.log( "three-object › connectedCallback()");
 
+    // Take a reference to the tracked resources, if connected anew
+    this._resources.acquire();
+
     // Lookup and store a reference to parent ‹three-scene› element
     const sceneElement = this.closest( "three-scene");
     if( !( sceneElement instanceof ThreeScene)) {
@@ -64,14 +319,60 @@ export class ThreeObject extends LitElement {
     }
     this._sceneElement = sceneElement;
 
+    // Lookup and store a reference to closest ‹three-group› ancestor
+    // within the scene, if any — or else, to the scene element
+    const containerElement = this.parentElement.closest( "three-group, three-scene");
+    this._containerElement = containerElement;
+
     // Initialize element – this is for the case of an element that was
-    // added to the DOM dynamically, at a later stage than the app init
-    this.init();
+    // added to the DOM dynamically, at a later stage than the app init —
+    // unless the parent ‹three-app› could not initialize its renderer
+    if( this.closest( "three-app[unsupported]") === null) {
+      const initialize = () => {
+        this.container.add( this._object3D);
+        this.init();
+        this.updateShadows();
+        sceneElement.refreshEnvironment();
+      };
+      if( containerElement instanceof ThreeObject || containerElement === sceneElement) {
+        initialize();
+      } else {
+        // The ‹three-group› ancestor was not upgraded yet (its module being
+        // loaded after the one of this element): wait for its root object
+        customElements.whenDefined( containerElement.localName).then(() => {
+          if( this._containerElement === containerElement) { initialize(); }
+        });
+      }
+    }
   }
 
   disconnectedCallback() {
+    this.notifyDisposing();
     this.dispose();
+    this._resources.release();
+    if( typeof this.container !== "undefined") {
+      this.container.remove( this._object3D);
+    }
     this._sceneElement = undefined;
+    this._containerElement = undefined;
     super.disconnectedCallback();
   }
+
+  /**
+   * Notifies the parent ‹three-app› element, that the element is about to
+   * dispose of its resources — for it to report the resources left over,
+   * in development. The event is dispatched by the former ‹three-scene›
+   * element, as this element is already disconnected from the DOM.
+   *
+   * @fires: CustomEvent( "object-disposing")
+   */
+  notifyDisposing() {
+    const sceneElement = this._sceneElement;
+    if( typeof sceneElement === "undefined" || !sceneElement.isConnected) { return; }
+    const objectDisposing = new CustomEvent( Events.objectDisposing, {
+      detail: { object: this },
+      bubbles: true
+    });
+    sceneElement.dispatchEvent( objectDisposing);
+  }
 }
\ No newline at end of file
@@ -10,7 +10,9 @@ export const Default = Object.freeze({
 });
 
 const MOON_TO_EARTH_RELATIVE_DISTANCE = 384400 / 12742 / 2, // 384400 km is mean distance of moon to earth, divided by radius of earth in km, will give distance relative to radius of 1.0
-      MOON_TO_EARTH_RELATIVE_SIZE = 3474 / 12742; // 3474 km is diameter of moon, 12742 km is diameter of earth
+      MOON_TO_EARTH_RELATIVE_SIZE = 3474 / 12742, // 3474 km is diameter of moon, 12742 km is diameter of earth
+      EARTH_ROTATION_PER_STEP = 0.025, // radians per animation step
+      MOON_ROTATION_PER_STEP = 0.005;
 
 export class ThreePlanet extends ThreeObject {
 
@@ -28,13 +30,12 @@ export class ThreePlanet extends ThreeObject {
   }
 
   /**
-   * Attributes and properties observed by Lit-Element.
+   * Attributes and properties observed by Lit-Element — in addition to
+   * the `id`, `position`, `rotation` and other common attributes, which
+   * `ThreeObject` applies to the root object of the planet.
    */
   static get properties() {
     return {
-      id: { type: String },                       // Identifier of the camera in the animation
-      position: { type: Array, reflect: true },   // Planet position at [ x, y, z ]
-      rotation: { type: Array, reflect: true },   // Planet rotated on axis [ x, y, z ] (in radians)
       animate:  { type: Boolean, reflect: true }  // Whether or not to animate the globe
     };
   }
@@ -52,6 +53,8 @@ export class ThreePlanet extends ThreeObject {
     this.animate = Default.animate;
 
     // Initialize private properties
+    this._spinSteps = 0;          // Count of animation steps, the globes were spun
+    this._previousSpinSteps = 0;  // Count of steps, as of the previous animation step
     this._textureLoader = new TextureLoader();
     this._earthTexture = this._textureLoader.load( "assets/textures/land_ocean_ice_cloud_2048.jpg");
     this._moonTexture = this._textureLoader.load( "assets/textures/moon_1024.jpg");
@@ -80,93 +83,65 @@ export class ThreePlanet extends ThreeObject {
 
     this._moonGlobe = new Mesh( moonSphereGeometry, moonMaterial);
     this._moonGlobe.name = `${this.id}:moonGlobe`;
+    // Relative to the earth, in the frame of the planet, which its default
+    // rotation turns upright: in front of and above the earth
+    this._moonGlobe.position.set( 0, MOON_TO_EARTH_RELATIVE_DISTANCE, MOON_TO_EARTH_RELATIVE_DISTANCE);
 
     this._light = new AmbientLight( 0xFFFFFF); // soft white light
     this._light.name = `${this.id}:light`;
-  }
 
-  /**
-   * Will be called after `firstUpdated()` — that is, upon element
-   * creation —, as well as each time any attribute/property of
-   * the element was changed.
-   *
-   * @param {Map} changedProperties Keys are the names of changed
-   *   properties; values are the corresponding _previous_ values.
-   */
-  updated( changedProperties) {
-    console.log( `three-planet[${this.id}] › updated()`, changedProperties);
-    if( changedProperties.has( "position")) {
-      this.updatePosition( this.position);
-    }
-    if( changedProperties.has( "rotation")) {
-      this.updateRotation( this.rotation);
-    }
+    // Dispose of the geometries, materials and textures of the globes,
+    // when the element gets disconnected (@see `ThreeObject.track()`)
+    this.track( this._earthGlobe);
+    this.track( this._moonGlobe);
   }
 
   init() {
     super.init();
     console.log( `three-planet[${this.id}] › init()`);
 
-    this.scene.add( this._earthGlobe);
-    this.scene.add( this._moonGlobe);
-    this.scene.add( this._light);
+    this.object3D.add( this._earthGlobe);
+    this.object3D.add( this._moonGlobe);
+    this.object3D.add( this._light);
   }
 
   /**
-   * Updates the planet's local position.
-   * @param {Array<Number>} XYZ components of the new position coordinate.
+   * Override, to programmatically animate the object.
    */
-  updatePosition( position) {
-    console.log( `three-planet[${this.id}] › updatePosition()`, position);
-    if( typeof position !== "undefined") {
-      const [ x, y, z ] = position;
-      this._earthGlobe.position.set( x, y, z);
-      this._moonGlobe.position.set( x, y - MOON_TO_EARTH_RELATIVE_DISTANCE, z + MOON_TO_EARTH_RELATIVE_DISTANCE);
+  step( time, delta) {
+    // console.log( `three-planet[${this.id}] › step(${time}, ${delta})`);
+    this._previousSpinSteps = this._spinSteps;
+    if( this.animate) {
+      this._spinSteps += 1;
+      this.invalidate();
     }
   }
 
   /**
-   * Updates the planet's local rotation.
-   * @param {THREE.Euler} rotation around axis XYZ, in radians.
+   * Spins the globes to their rotation interpolated between the previous
+   * and current animation steps.
    */
-  updateRotation( rotation) {
-    console.log( `three-planet[${this.id}] › updateRotation()`, rotation);
-    if( typeof rotation !== "undefined") {
-      const [ rx, ry, rz ] = rotation;
-      this._earthGlobe.rotation.set( rx, ry, rz); }
+  interpolate( alpha) {
+    const spinSteps = this._previousSpinSteps + (this._spinSteps - this._previousSpinSteps) * alpha;
+    this._earthGlobe.rotation.y = spinSteps * EARTH_ROTATION_PER_STEP;
+    this._moonGlobe.rotation.y = spinSteps * MOON_ROTATION_PER_STEP;
   }
 
   /**
-   * Override, to programmatically animate the object.
+   * Describes the planet to assistive technologies, unless the element
+   * has an `aria-label` attribute.
    */
-  step( time, delta) {
-    // console.log( `three-planet[${this.id}] › step(${time}, ${delta})`);
-    if( this.animate) {
-      this._earthGlobe.rotation.y += 0.025;
-      this._moonGlobe.rotation.y += 0.005;
-    }
+  describe() {
+    return super.describe() || `Earth and Moon${this.animate ? ", rotating" : ""}`;
   }
 
   /**
-   * Dispose THREE resources, when element gets disconnected from DOM,
-   * to avoid memory leaks.
+   * The globes stay in the root object of the planet, which gets removed
+   * from the scene, and their resources are disposed of by `ThreeObject`,
+   * when the element gets disconnected — for it to be connected again.
    */
   dispose() {
     console.log( `three-planet[${this.id}] › dispose()`);
-
-    this._earthTexture = undefined;
-    this._textureLoader = undefined;
-
-    this.scene.remove( this._earthGlobe);
-    this.scene.remove( this._light);
-
-    this._earthGlobe.geometry = undefined;
-    this._earthGlobe.material = undefined;
-    this._earthGlobe = undefined;
-    this._moonGlobe.geometry = undefined;
-    this._moonGlobe.material = undefined;
-    this._moonGlobe = undefined;
-    this._light = undefined;
   }
 }
 
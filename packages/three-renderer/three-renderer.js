@@ -0,0 +1,174 @@
+import { LitElement, html, css } from "lit-element";
+
+export const Default = Object.freeze({
+  id: "defaultRenderer",
+  viewport: [ 0, 0, 1, 1 ]
+});
+
+export const Events = Object.freeze({
+  rendererConnected: "renderer-connected",
+  rendererDisconnected: "renderer-disconnected",
+  rendererInvalidated: "renderer-invalidated"
+});
+
+/**
+ * A viewport of the display canvas of the parent ‹three-app› element,
+ * which renders a given scene through a given camera.
+ *
+ * The region of the viewport is defined by the `viewport` attribute,
+ * as `[ left, top, width, height ]` fractions of the size of the display
+ * canvas (origin at top-left). Many viewports can be stacked in the same
+ * display, in DOM order — for instance, a _player view_ and a _map_:
+ *
+ *     ‹three-app›
+ *       ‹three-renderer id="playerView" camera="c01" scene="s01"›
+ *       ‹three-renderer id="map" camera="c02" scene="s01"
+ *         viewport="[ 0.75, 0, 0.25, 0.25 ]"›
+ *       …
+ *     ‹/three-app›
+ *
+ * If the `camera` or `scene` attributes are omitted, the viewport renders
+ * the active camera or scene of the parent ‹three-app› element.
+ *
+ * @fires: CustomEvent( "renderer-connected")
+ * @fires: CustomEvent( "renderer-disconnected")
+ * @fires: CustomEvent( "renderer-invalidated")
+ */
+export class ThreeRenderer extends LitElement {
+
+  static get styles() {
+    return css`
+      :host { position: relative }
+      :host([ hidden]) { display: none }
+    `;
+  }
+
+  render() {
+    return html`
+      <p>Renderer ${this.id}: camera ${this.camera || "(active)"} › scene ${this.scene || "(active)"}</p>`;
+  }
+
+  /**
+   * Attributes and properties observed by Lit-Element.
+   */
+  static get properties() {
+    return {
+      id: { type: String },                     // Identifier of the renderer in the animation
+      camera: { type: String, reflect: true },  // Identifier of the camera to render through
+      scene: { type: String, reflect: true },   // Identifier of the scene to render
+      viewport: { type: Array, reflect: true }  // Region `[ left, top, width, height ]` of the display, as fractions
+    };
+  }
+
+  constructor() {
+    // Must call superconstructor first.
+    super();
+
+    console.log( "three-renderer › constructor()");
+
+    // Initialize private properties
+    this._app = undefined; // Reference to the parent ‹three-app› element, kept to deregister from it
+
+    // Initialize public properties
+    this.id = Default.id;
+    this.camera = undefined;
+    this.scene = undefined;
+    this.viewport = [...Default.viewport]; // […array] to make a copy of the default value
+  }
+
+  init() {
+    console.log( `three-renderer[${this.id}] › init()`);
+    // Registers the renderer with the parent ‹three-app› element
+    this.registerRenderer();
+  }
+
+  /**
+   * Requests a new frame to be rendered, each time the camera, scene
+   * or viewport of the renderer changed.
+   */
+  updated( changedProperties) {
+    console.log( `three-renderer[${this.id}] › updated()`, changedProperties);
+    this.invalidate();
+  }
+
+  /**
+   * Returns the region of the display covered by this viewport, in pixels,
+   * along with its aspect ratio, from given size of the display canvas.
+   *
+   * @param {number} width  Width of the display canvas, in pixels.
+   * @param {number} height Height of the display canvas, in pixels.
+   */
+  getViewport( width, height) {
+    const [ left, top, w, h ] = this.viewport || Default.viewport;
+    const x = Math.round( left * width),
+          y = Math.round( top * height),
+          vw = Math.round( w * width),
+          vh = Math.round( h * height),
+          ratio = vw / vh;
+    return { x, y, width: vw, height: vh, ratio };
+  }
+
+  /**
+   * Register the renderer with ‹three-app›, in case the ‹three-renderer›
+   * element was added dynamically to the DOM; won't have any effect while
+   * the DOM initializes, as there is no parent ‹three-app› element to listen yet.
+   */
+  connectedCallback() {
+    super.connectedCallback();
+    console.log( `three-renderer[${this.id}] › connectedCallback()`);
+    this._app = this.closest( "three-app") || undefined;
+    this.registerRenderer();
+  }
+
+  disconnectedCallback() {
+    console.log( `three-renderer[${this.id}] › disconnectedCallback()`);
+    this.deregisterRenderer();
+    this._app = undefined;
+    super.disconnectedCallback();
+  }
+
+  /**
+   * @fires: CustomEvent( "renderer-connected")
+   */
+  registerRenderer() {
+    console.log( `three-renderer[${this.id}] › registerRenderer()`);
+    const rendererConnected = new CustomEvent( Events.rendererConnected, {
+      detail: { renderer: this },
+      bubbles: true
+    });
+    this.dispatchEvent( rendererConnected);
+  }
+
+  /**
+   * Dispatched by the former parent ‹three-app› element, as this element
+   * is already detached from the DOM, once disconnected.
+   *
+   * @fires: CustomEvent( "renderer-disconnected")
+   */
+  deregisterRenderer() {
+    console.log( `three-renderer[${this.id}] › deregisterRenderer()`);
+    const rendererDisconnected = new CustomEvent( Events.rendererDisconnected, {
+      detail: { renderer: this },
+      bubbles: true
+    });
+    const target = (typeof this._app !== "undefined" && !this.isConnected) ? this._app : this;
+    target.dispatchEvent( rendererDisconnected);
+  }
+
+  /**
+   * Requests the parent ‹three-app› element to render a new frame, in its
+   * `on-demand` render mode.
+   *
+   * @fires: CustomEvent( "renderer-invalidated")
+   */
+  invalidate() {
+    const rendererInvalidated = new CustomEvent( Events.rendererInvalidated, {
+      detail: { renderer: this },
+      bubbles: true
+    });
+    this.dispatchEvent( rendererInvalidated);
+  }
+}
+
+// Register the element with the browser
+customElements.define( "three-renderer", ThreeRenderer);
@@ -0,0 +1,195 @@
+import {
+  Color, Fog, FogExp2, TextureLoader, CubeTextureLoader, CanvasTexture,
+  BoxBufferGeometry, ShaderMaterial, ShaderLib, UniformsUtils, Mesh, BackSide,
+  EquirectangularReflectionMapping
+} from "three";
+
+export const FogTypeEnum = Object.freeze({
+  linear: "linear",
+  exponential: "exponential"
+});
+
+export const Default = Object.freeze({
+  fog: {
+    near: 1,
+    far: 1000,
+    density: 0.00025
+  },
+  gradientHeight: 256 // px, height of the texture of a gradient background
+});
+
+// Vertex shader of the equirectangular background: as the one of THREE,
+// but drawn at the far plane, as the cube backgrounds of THREE are
+const skyVertexShader = `
+  varying vec3 vWorldDirection;
+  #include <common>
+  void main() {
+    vWorldDirection = transformDirection( position, modelMatrix );
+    #include <begin_vertex>
+    #include <project_vertex>
+    gl_Position.z = gl_Position.w;
+  }`;
+
+// Returns the URLs of the `url(…)` tokens of given value, such as
+// `url(assets/stars.jpg)` — or an empty array, if there are none
+function parseUrls( value) {
+  const urls = [],
+        pattern = /url\(\s*(['"]?)(.*?)\1\s*\)/g;
+  let match;
+  while(( match = pattern.exec( value)) !== null) {
+    urls.push( match[ 2]);
+  }
+  return urls;
+}
+
+// Returns the colors of a `linear-gradient(…)` value, such as
+// `linear-gradient( #eeeeee, #999999)` — or undefined, if not a gradient
+function parseGradient( value) {
+  const match = /^\s*linear-gradient\(\s*(.*)\)\s*$/.exec( value);
+  if( match === null) {
+    return undefined;
+  }
+  // Split on the commas, which are not within the parentheses of a color
+  const colors = [];
+  let depth = 0, start = 0;
+  for( let i = 0; i < match[ 1].length; i++) {
+    const char = match[ 1].charAt( i);
+    if( char === "(") { depth++; }
+    else if( char === ")") { depth--; }
+    else if( char === "," && depth === 0) {
+      colors.push( match[ 1].slice( start, i).trim());
+      start = i + 1;
+    }
+  }
+  colors.push( match[ 1].slice( start).trim());
+  return colors.filter(( color) => color !== "");
+}
+
+// Returns a texture of a vertical gradient between given CSS colors
+function createGradientTexture( colors) {
+  const canvas = document.createElement( "canvas");
+  canvas.width = 2;
+  canvas.height = Default.gradientHeight;
+  const context = canvas.getContext( "2d"),
+        gradient = context.createLinearGradient( 0, 0, 0, canvas.height);
+  colors.forEach(( color, index) =>
+    gradient.addColorStop( (colors.length > 1) ? index / (colors.length - 1) : 0, color));
+  context.fillStyle = gradient;
+  context.fillRect( 0, 0, canvas.width, canvas.height);
+  return new CanvasTexture( canvas);
+}
+
+// Returns a mesh which draws given equirectangular texture behind the scene,
+// around the camera rendering it
+function createSky( texture) {
+  const material = new ShaderMaterial({
+    uniforms: UniformsUtils.clone( ShaderLib.equirect.uniforms),
+    vertexShader: skyVertexShader,
+    fragmentShader: ShaderLib.equirect.fragmentShader,
+    side: BackSide,
+    depthTest: false,
+    depthWrite: false
+  });
+  material.uniforms.tEquirect.value = texture;
+  const sky = new Mesh( new BoxBufferGeometry( 1, 1, 1), material);
+  sky.name = "background";
+  sky.frustumCulled = false;
+  sky.renderOrder = Number.MIN_SAFE_INTEGER; // Drawn first, for the scene to be drawn over it
+  sky.onBeforeRender = ( renderer, scene, camera) => sky.matrixWorld.copyPosition( camera.matrixWorld);
+  return sky;
+}
+
+/**
+ * Creates the background of a ‹three-scene› element, from the value of its
+ * `background` attribute — either a color, in any CSS notation understood
+ * by THREE.Color; a vertical gradient, such as `linear-gradient( #eee, #999)`;
+ * an equirectangular texture, such as `url(assets/stars.jpg)`; or a cube map
+ * of six faces, such as `url(px.jpg) url(nx.jpg) url(py.jpg) url(ny.jpg)
+ * url(pz.jpg) url(nz.jpg)`.
+ *
+ * @param {string} value The value of the attribute.
+ * @param {Function} onLoad Called once the textures of the background were loaded.
+ * @return {Object} `{ background, sky, textures }`: the value of the
+ *   `background` property of the THREE scene (null, if none); the mesh to
+ *   add to the scene, which draws an equirectangular texture (if any);
+ *   and the textures to dispose, along with the mesh, once replaced.
+ */
+export function createBackground( value, onLoad) {
+  const none = { background: null, sky: undefined, textures: [] };
+  if( typeof value !== "string" || value.trim() === "") {
+    return none;
+  }
+  const urls = parseUrls( value);
+  if( urls.length === 6) {
+    const texture = new CubeTextureLoader().load( urls, onLoad);
+    return { background: texture, sky: undefined, textures: [ texture ] };
+  }
+  if( urls.length === 1) {
+    const texture = new TextureLoader().load( urls[ 0], onLoad);
+    return { background: null, sky: createSky( texture), textures: [ texture ] };
+  }
+  if( urls.length > 0) {
+    console.warn( `three-scene › createBackground(): expected 1 or 6 URLs, got ${urls.length}`);
+    return none;
+  }
+  const colors = parseGradient( value);
+  if( typeof colors !== "undefined") {
+    const texture = createGradientTexture( colors);
+    return { background: texture, sky: undefined, textures: [ texture ] };
+  }
+  return { background: new Color( value), sky: undefined, textures: [] };
+}
+
+/**
+ * Creates the environment map of a ‹three-scene› element, reflected by the
+ * materials of its objects, from the value of its `environment` attribute —
+ * either an equirectangular texture, such as `url(assets/studio.jpg)`, or
+ * a cube map of six faces, as for the `background` attribute.
+ *
+ * @param {string} value The value of the attribute.
+ * @param {Function} onLoad Called once the textures were loaded.
+ * @return {Texture} The environment map, or null if none.
+ */
+export function createEnvironment( value, onLoad) {
+  const urls = parseUrls( value || "");
+  if( urls.length === 6) {
+    return new CubeTextureLoader().load( urls, onLoad);
+  }
+  if( urls.length === 1) {
+    const texture = new TextureLoader().load( urls[ 0], onLoad);
+    texture.mapping = EquirectangularReflectionMapping;
+    return texture;
+  }
+  if( urls.length > 0) {
+    console.warn( `three-scene › createEnvironment(): expected 1 or 6 URLs, got ${urls.length}`);
+  }
+  return null;
+}
+
+/**
+ * Creates the fog of a ‹three-scene› element, from the value of its `fog`
+ * attribute — either `linear <color> [<near> [<far>]]`, such as
+ * `linear #000000 10 100`, or `exponential <color> [<density>]`, such
+ * as `exponential #ffffff 0.02`.
+ *
+ * @param {string} value The value of the attribute.
+ * @return {Fog|FogExp2} The fog, or null if none.
+ */
+export function createFog( value) {
+  const [ type, color, ...params ] = String( value || "").trim().split( /\s+/),
+        numbers = params.map( parseFloat);
+  if( typeof color === "undefined" || numbers.some(( number) => !isFinite( number))) {
+    return null;
+  }
+  switch( type) {
+    case FogTypeEnum.linear:
+      return new Fog( color,
+        (numbers.length > 0) ? numbers[ 0] : Default.fog.near,
+        (numbers.length > 1) ? numbers[ 1] : Default.fog.far);
+    case FogTypeEnum.exponential:
+      return new FogExp2( color, (numbers.length > 0) ? numbers[ 0] : Default.fog.density);
+    default:
+      console.warn( `three-scene › createFog(): unknown fog type ${type}`);
+      return null;
+  }
+}
@@ -1,6 +1,7 @@
 import { ThreeObject } from "@petitatelier/three-object";
 import { LitElement, html, css } from "lit-element";
 import { Scene } from "three";
+import { createBackground, createEnvironment, createFog } from "@petitatelier/three-scene/three-scene-environment";
 
 export const Default = Object.freeze({
   id: "defaultScene",
@@ -8,13 +9,28 @@ export const Default = Object.freeze({
 
 export const Events = Object.freeze({
   sceneConnected: "scene-connected",
-  sceneDisconnected: "scene-disconnected"
+  sceneDisconnected: "scene-disconnected",
+  sceneInvalidated: "scene-invalidated",
+  sceneRenamed: "scene-renamed"
 });
 
 /**
+ * A scene, rendered by a parent ‹three-app› element, to which the child
+ * ‹three-*› elements add their objects. Its backdrop is set with
+ * CSS-like attributes:
+ *
+ *     ‹three-scene id="s01"
+ *         background="url(assets/stars.jpg)"
+ *         environment="url(assets/studio.jpg)"
+ *         fog="exponential #000000 0.02"›
+ *
+ * @see `createBackground()`, `createEnvironment()` and `createFog()`
+ * for the syntax of these attributes.
  *
  * @fires: CustomEvent( "scene-connected")
  * @fires: CustomEvent( "scene-disconnected")
+ * @fires: CustomEvent( "scene-invalidated")
+ * @fires: CustomEvent( "scene-renamed")
  */
 export class ThreeScene extends LitElement {
 
@@ -35,9 +51,20 @@ export class ThreeScene extends LitElement {
     return this._scene;
   }
 
+  /**
+   * Getter which returns the environment map of the scene, which it sets on
+   * the standard materials of its child elements — or null, if none.
+   */
+  get environmentMap() {
+    return this._environment;
+  }
+
   static get properties() {
     return {
-      id: { type: String }  // Identifier of the scene in the animation
+      id: { type: String },                         // Identifier of the scene in the animation
+      background: { type: String, reflect: true },  // Color, gradient, equirectangular texture or cube map drawn behind the scene
+      environment: { type: String, reflect: true }, // Equirectangular texture or cube map reflected by the materials of the scene
+      fog: { type: String, reflect: true }          // `linear <color> <near> <far>` or `exponential <color> <density>`
     };
   }
 
@@ -48,10 +75,16 @@ export class ThreeScene extends LitElement {
     super();
 
     // Initialize private properties
-    this._scene = undefined;
+    this._scene = undefined;  // Internal THREE `Scene` instance, kept for the lifetime of the element
+    this._background = { background: null, sky: undefined, textures: [] }; // Resources of the background (@see `createBackground()`)
+    this._environment = null; // Environment map, applied to the materials of the scene
 
     // Initialize public properties
     this.id = Default.id;
+
+    // Create the scene upfront, for child ‹three-*› elements to be able
+    // to add their objects to it, whenever they get initialized
+    this.createScene();
   }
 
   init() {
@@ -68,6 +101,20 @@ export class ThreeScene extends LitElement {
     // }
   }
 
+  /**
+   * Returns a short description of the scene, for assistive technologies:
+   * its `aria-label` attribute (or its identifier), followed by the
+   * descriptions of its child ‹three-*› elements (@see `ThreeObject.describe()`).
+   */
+  describe() {
+    const label = this.getAttribute( "aria-label") || `Scene ${this.id}`,
+          descriptions = Array.from( this.children)
+            .filter(( elt) => elt instanceof ThreeObject)
+            .map(( elt) => elt.describe())
+            .filter(( description) => typeof description !== "undefined");
+    return (descriptions.length > 0) ? `${label}: ${descriptions.join( "; ")}` : label;
+  }
+
   /**
    * Override, to programmatically animate the scene.
    * Don't forget to call `super.step( time, delta)`.
@@ -81,23 +128,178 @@ export class ThreeScene extends LitElement {
     }
   }
 
+  /**
+   * Propagates the render-interpolation factor to the child ‹three-*›
+   * elements, before the scene gets rendered.
+   */
+  interpolate( alpha) {
+    for( let i = 0; i < this.children.length; i++) {
+      const elt = this.children[ i];
+      if( elt instanceof ThreeObject) {
+        elt.interpolate( alpha);
+      }
+    }
+  }
+
+  /**
+   * Will be called after `firstUpdated()` — that is, upon element
+   * creation —, as well as each time any attribute/property of
+   * the element was changed. Updates the scene in place, keeping the
+   * objects added by the child ‹three-*› elements; when the identifier
+   * changed, notifies the parent ‹three-app› element (@see `renameScene()`);
+   * when the background, environment or fog changed, replaces and disposes
+   * of the previous ones.
+   *
+   * @param {Map} changedProperties Keys are the names of changed
+   *   properties; values are the corresponding _previous_ values.
+   */
   updated( changedProperties) {
     console.log( `three-scene[${this.id}] › updated()`, changedProperties);
-    this.disposeScene();
-    this.createScene();
+    if( changedProperties.has( "id")) {
+      this._scene.name = this.id;
+      const oldId = changedProperties.get( "id");
+      if( typeof oldId !== "undefined" && oldId !== this.id) {
+        this.renameScene( oldId);
+      }
+    }
+    if( changedProperties.has( "background")) {
+      this.updateBackground();
+    }
+    if( changedProperties.has( "environment")) {
+      this.updateEnvironment();
+    }
+    if( changedProperties.has( "fog")) {
+      this.updateFog();
+    }
+    this.invalidate();
+  }
+
+  /**
+   * Replaces the background of the scene, as described by the `background`
+   * attribute, and disposes of the textures of the previous one. The scene
+   * is rendered anew, once the textures were loaded.
+   */
+  updateBackground() {
+    console.log( `three-scene[${this.id}] › updateBackground()`);
+    this.disposeBackground();
+    this._background = createBackground( this.background, () => this.invalidate());
+    this._scene.background = this._background.background;
+    if( typeof this._background.sky !== "undefined") {
+      this._scene.add( this._background.sky);
+    }
+  }
+
+  /**
+   * Replaces the environment map of the scene, as described by the
+   * `environment` attribute, and disposes of the previous one. The scene
+   * is rendered anew, once its textures were loaded.
+   */
+  updateEnvironment() {
+    console.log( `three-scene[${this.id}] › updateEnvironment()`);
+    const previousEnvironment = this._environment;
+    this._environment = createEnvironment( this.environment, () => this.invalidate());
+    this.applyEnvironment( previousEnvironment, this._environment);
+    if( previousEnvironment !== null) {
+      previousEnvironment.dispose();
+    }
+  }
+
+  /**
+   * Replaces the fog of the scene, as described by the `fog` attribute — the
+   * renderer recompiles the materials affected by the change by itself.
+   */
+  updateFog() {
+    console.log( `three-scene[${this.id}] › updateFog()`);
+    this._scene.fog = createFog( this.fog);
+  }
+
+  /**
+   * Sets the environment map of the scene, if any, on the materials added
+   * since it was last applied. Called once each child ‹three-*› element was
+   * initialized (@see `ThreeObject.connectedCallback()`); call it from
+   * elements which add objects to the scene later on.
+   */
+  refreshEnvironment() {
+    if( this._environment !== null) {
+      this.applyEnvironment( null, this._environment);
+    }
+  }
+
+  /**
+   * Sets given environment map, on the standard (and physical) materials of
+   * the scene which have none yet, or which had the previous environment
+   * map — keeping the environment maps set explicitly by the child ‹three-*›
+   * elements, and leaving the other materials as they look.
+   *
+   * @param {Texture} previousEnvironment The environment map to replace, or null.
+   * @param {Texture} environment The new environment map, or null.
+   */
+  applyEnvironment( previousEnvironment, environment) {
+    this._scene.traverse(( object) => {
+      const materials = Array.isArray( object.material) ? object.material : [ object.material ];
+      materials.forEach(( material) => {
+        if( material && material.isMeshStandardMaterial && material.envMap !== environment
+            && ( material.envMap === null || material.envMap === previousEnvironment)) {
+          material.envMap = environment;
+          material.needsUpdate = true;
+        }
+      });
+    });
   }
 
+  /**
+   * Removes the background from the scene, and disposes of its textures,
+   * and of the geometry and material drawing an equirectangular texture.
+   */
+  disposeBackground() {
+    const { sky, textures } = this._background;
+    if( typeof sky !== "undefined") {
+      this._scene.remove( sky);
+      sky.geometry.dispose();
+      sky.material.dispose();
+    }
+    textures.forEach(( texture) => texture.dispose());
+    this._scene.background = null;
+  }
+
+  /**
+   * Creates the THREE scene — or, if called again, re-creates it, moving
+   * the objects added to the previous scene by the child ‹three-*› elements
+   * (such as their meshes and lights) over to the new one, for them to
+   * remain in the scene without being initialized again.
+   */
   createScene() {
     console.log( `three-scene[${this.id}] › createScene()`);
+    const previousScene = this._scene;
     this._scene = new Scene();
+    this._scene.name = this.id;
+    if( typeof previousScene !== "undefined") {
+      this._scene.background = previousScene.background;
+      this._scene.fog = previousScene.fog;
+      // `add()` removes each object from its previous parent
+      previousScene.children.slice().forEach(( object) => this._scene.add( object));
+      previousScene.dispose();
+    }
   }
 
+  /**
+   * Clears the data of the scene cached by the renderers, and frees the
+   * textures of its background and environment map — the scene, its objects
+   * and the images of these textures are kept, for the element to be
+   * connected again (the textures being uploaded anew, when rendered).
+   */
   disposeScene() {
     console.log( `three-scene[${this.id}] › disposeScene()`);
-    if( typeof this._scene !== "undefined") {
-      this._scene.dispose(); // Clears scene related data internally cached by WebGLRenderer
-      this._scene = undefined;
+    const { sky, textures } = this._background;
+    if( typeof sky !== "undefined") {
+      sky.geometry.dispose();
+      sky.material.dispose();
+    }
+    textures.forEach(( texture) => texture.dispose());
+    if( this._environment !== null) {
+      this._environment.dispose();
     }
+    this._scene.dispose(); // Clears scene related data internally cached by WebGLRenderer
   }
 
   connectedCallback() {
@@ -106,6 +308,27 @@ export class ThreeScene extends LitElement {
     this.registerScene();
   }
 
+  /**
+   * Re-uploads the resources of the scene, after the WebGL context was lost
+   * and restored (called by the parent ‹three-app› element): flags all
+   * materials for recompilation, and asks the child ‹three-*› elements to
+   * restore their own resources (@see `ThreeObject.restore()`).
+   * Don't forget to call `super.restore()`, when overriding.
+   */
+  restore() {
+    console.log( `three-scene[${this.id}] › restore()`);
+    if( typeof this._scene !== "undefined") {
+      this._scene.traverse( updateMaterials);
+    }
+    for( let i = 0; i < this.children.length; i++) {
+      const elt = this.children[ i];
+      if( elt instanceof ThreeObject) {
+        elt.restore();
+      }
+    }
+    this.invalidate();
+  }
+
   disconnectedCallback() {
     console.log( `three-scene[${this.id}] › disconnectedCallback()`);
     this.deregisterScene();
@@ -136,6 +359,44 @@ export class ThreeScene extends LitElement {
     });
     this.dispatchEvent( sceneDisconnected);
   }
+
+  /**
+   * Notifies the parent ‹three-app› element, that the identifier of the
+   * scene changed — for it to register the scene under its new identifier.
+   *
+   * @param {string} oldId The previous identifier of the scene.
+   * @fires: CustomEvent( "scene-renamed")
+   */
+  renameScene( oldId) {
+    console.log( `three-scene[${this.id}] › renameScene( ${oldId})`);
+    const sceneRenamed = new CustomEvent( Events.sceneRenamed, {
+      detail: { scene: this, oldId },
+      bubbles: true
+    });
+    this.dispatchEvent( sceneRenamed);
+  }
+
+  /**
+   * Requests the parent ‹three-app› element to render a new frame, in its
+   * `on-demand` render mode.
+   *
+   * @fires: CustomEvent( "scene-invalidated")
+   */
+  invalidate() {
+    const sceneInvalidated = new CustomEvent( Events.sceneInvalidated, {
+      detail: { scene: this },
+      bubbles: true
+    });
+    this.dispatchEvent( sceneInvalidated);
+  }
+}
+
+// Flags the material(s) of an `Object3D` for recompilation
+function updateMaterials( object) {
+  const materials = Array.isArray( object.material) ? object.material : [ object.material ];
+  materials.forEach(( material) => {
+    if( material) { material.needsUpdate = true; }
+  });
 }
 
 // Register the element with the browser
@@ -0,0 +1,104 @@
+import { LitElement, html, css } from "lit-element";
+
+/**
+ * Parses a time, such as `5s`, `1.5s` or `800ms`, into ms — a number
+ * without unit being in ms. Returns undefined, if it cannot be parsed.
+ *
+ * @param {string|number} value The time to parse.
+ */
+export function parseTime( value) {
+  if( typeof value === "number") {
+    return value;
+  }
+  const match = /^\s*(\d*\.?\d+)\s*(ms|s)?\s*$/.exec( value || "");
+  if( match === null) {
+    return undefined;
+  }
+  const [ , amount, unit ] = match;
+  return parseFloat( amount) * (unit === "s" ? 1000 : 1);
+}
+
+/**
+ * A cue of the timeline of a parent ‹three-sequence› element, which
+ * — at the time defined by its `at` attribute — switches the active
+ * camera and/or scene of the ‹three-app› element, and/or sets properties
+ * of the ‹three-*› elements matching the `target` selector:
+ *
+ *     ‹three-cue at="5s" camera="c02" scene="s01"›
+ *     ‹three-cue at="8s" target="#earth" set='{ "animate": false }'›
+ */
+export class ThreeCue extends LitElement {
+
+  static get styles() {
+    return css`
+      :host { position: relative }
+      :host([ hidden]) { display: none }
+    `;
+  }
+
+  render() {
+    return html`
+      <p>Cue at ${this.at} ms</p>`;
+  }
+
+  /**
+   * Attributes and properties observed by Lit-Element.
+   */
+  static get properties() {
+    return {
+      at: { type: String },                   // Time of the cue, from the start of the sequence (`5s` or `800ms`)
+      camera: { type: String, reflect: true }, // Identifier of the camera to activate
+      scene: { type: String, reflect: true },  // Identifier of the scene to activate
+      target: { type: String, reflect: true }, // Selector of the ‹three-*› elements to set properties of
+      set: { type: Object }                    // Properties to set on the target elements
+    };
+  }
+
+  // Getter and setter for the `at` property: parses given time
+  // (such as `5s` or `800ms`) and returns it in ms.
+  get at() { return this._at; }
+  set at( newVal) {
+    const oldVal = this._at,
+          time = parseTime( newVal);
+    // newVal is set to `null` by Lit-Element, when attribute is removed
+    this._at = (typeof time !== "undefined") ? time : 0;
+    this.requestUpdate( "at", oldVal);
+  }
+
+  constructor() {
+    // Must call superconstructor first.
+    super();
+
+    // Initialize private properties
+    this._at = undefined;   // Internal value of the `at` property, in ms
+
+    // Initialize public properties
+    this.at = 0;
+    this.camera = undefined;
+    this.scene = undefined;
+    this.target = undefined;
+    this.set = undefined;
+  }
+
+  /**
+   * Applies the cue to given ‹three-app› element: switches its active
+   * scene and camera, and sets the properties of the target elements.
+   *
+   * @param {ThreeApp} app The ‹three-app› element the sequence belongs to.
+   */
+  apply( app) {
+    console.log( `three-cue › apply() at ${this.at} ms`);
+    if( this.scene) {
+      app.scene = this.scene;
+    }
+    if( this.camera) {
+      app.camera = this.camera;
+    }
+    if( this.target && this.set) {
+      app.querySelectorAll( this.target).forEach(( elt) => Object.assign( elt, this.set));
+    }
+  }
+}
+
+// Register the element with the browser
+customElements.define( "three-cue", ThreeCue);
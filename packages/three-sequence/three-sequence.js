@@ -0,0 +1,272 @@
+import { LitElement, html, css } from "lit-element";
+import { Events as AppEvents } from "@petitatelier/three-app";
+import { ThreeCue, parseTime } from "@petitatelier/three-sequence/three-cue";
+
+export const Default = Object.freeze({
+  id: "defaultSequence"
+});
+
+export const Events = Object.freeze({
+  cue: "cue",
+  ended: "ended"
+});
+
+/**
+ * A timeline of a parent ‹three-app› element, which scripts the changes of
+ * its active camera and scene, and of the properties of its ‹three-*›
+ * elements, with child ‹three-cue› elements:
+ *
+ *     ‹three-app›
+ *       ‹three-sequence autoplay loop duration="12s"›
+ *         ‹three-cue at="0s" camera="c01" scene="s01"›
+ *         ‹three-cue at="5s" camera="c02"›
+ *         ‹three-cue at="8s" target="#earth" set='{ "animate": false }'›
+ *       ‹/three-sequence›
+ *       …
+ *     ‹/three-app›
+ *
+ * The sequence plays in the virtual time of the clock of the ‹three-app›
+ * element: it advances upon each of its frames (@see the `frame-start`
+ * event), and therefore follows a `scaled` or `manual` clock, as well as
+ * the export of image sequences — and stands still while the animation
+ * loop is paused or suspended.
+ *
+ * @fires: CustomEvent( "cue")
+ * @fires: CustomEvent( "ended")
+ */
+export class ThreeSequence extends LitElement {
+
+  static get styles() {
+    return css`
+      :host { position: relative }
+      :host([ hidden]) { display: none }
+    `;
+  }
+
+  render() {
+    return html`
+      <p>Sequence ${this.id}</p>
+      <slot></slot>`;
+  }
+
+  /**
+   * Attributes and properties observed by Lit-Element.
+   */
+  static get properties() {
+    return {
+      id: { type: String },                       // Identifier of the sequence
+      autoplay: { type: Boolean, reflect: true }, // Whether to start playing, once connected
+      loop: { type: Boolean, reflect: true },     // Whether to start over, once the end is reached
+      duration: { type: String }                  // Duration of the sequence (`12s` or `800ms`), up to the last cue by default
+    };
+  }
+
+  // Getter and setter for the `duration` property: parses given time (such
+  // as `12s` or `800ms`) and returns it in ms — or the time of the last cue,
+  // if undefined.
+  get duration() {
+    if( typeof this._duration !== "undefined") {
+      return this._duration;
+    }
+    const cues = this.cues;
+    return (cues.length > 0) ? cues[ cues.length - 1].at : 0;
+  }
+  set duration( newVal) {
+    const oldVal = this._duration;
+    // newVal is set to `null` by Lit-Element, when attribute is removed
+    this._duration = parseTime( newVal);
+    this.requestUpdate( "duration", oldVal);
+  }
+
+  /**
+   * Getter which returns the child ‹three-cue› elements, sorted by time
+   * (cues at the same time remain in DOM order).
+   */
+  get cues() {
+    if( typeof this._cues === "undefined") {
+      this._cues = Array.from( this.children)
+        .filter(( elt) => elt instanceof ThreeCue)
+        .sort(( a, b) => a.at - b.at);
+    }
+    return this._cues;
+  }
+
+  /**
+   * Getter which returns true, while the sequence is playing.
+   */
+  get playing() {
+    return this._playing;
+  }
+
+  // Getter and setter for the `currentTime` property: the current time
+  // of the sequence, in ms; setting it seeks to given time (@see `seek()`).
+  get currentTime() { return this._time; }
+  set currentTime( time) {
+    this.seek( time);
+  }
+
+  constructor() {
+    // Must call superconstructor first.
+    super();
+
+    console.log( "three-sequence › constructor()");
+
+    // Bind callback methods to this instance
+    this.onFrameStart = this.onFrameStart.bind( this);
+
+    // Initialize private properties
+    this._app = undefined;       // Reference to the parent ‹three-app› element
+    this._cues = undefined;      // Child ‹three-cue› elements sorted by time, computed by `cues` getter
+    this._duration = undefined;  // Internal value of the `duration` property, in ms
+    this._time = 0;              // Current time of the sequence, in ms
+    this._playing = false;
+    this._mutationObserver = new MutationObserver(() => { this._cues = undefined; });
+
+    // Initialize public properties
+    this.id = Default.id;
+    this.autoplay = false;
+    this.loop = false;
+  }
+
+  /**
+   * Starts listening to the frames of the parent ‹three-app› element,
+   * and starts playing, if the `autoplay` attribute is set.
+   */
+  connectedCallback() {
+    super.connectedCallback();
+    console.log( `three-sequence[${this.id}] › connectedCallback()`);
+
+    this._app = this.closest( "three-app");
+    if( this._app === null) {
+      throw new Error( "Element ‹three-sequence› must be a descendent of a ‹three-app› element");
+    }
+    this._app.addEventListener( AppEvents.frameStart, this.onFrameStart);
+
+    // Sort the cues anew, when they are added, removed or moved in time
+    this._cues = undefined;
+    this._mutationObserver.observe( this,
+      { childList: true, subtree: true, attributes: true, attributeFilter: [ "at" ] });
+
+    if( this.autoplay) {
+      this.play();
+    }
+  }
+
+  disconnectedCallback() {
+    console.log( `three-sequence[${this.id}] › disconnectedCallback()`);
+    this.pause();
+    this._mutationObserver.disconnect();
+    this._app.removeEventListener( AppEvents.frameStart, this.onFrameStart);
+    this._app = undefined;
+    super.disconnectedCallback();
+  }
+
+  /**
+   * Starts or resumes playing the sequence — from its start, if it had ended.
+   */
+  play() {
+    console.log( `three-sequence[${this.id}] › play()`);
+    if( this._time >= this.duration && this.duration > 0) {
+      this._time = 0;
+    }
+    this._playing = true;
+    this.requestFrame();
+  }
+
+  /**
+   * Pauses the sequence, at its current time.
+   */
+  pause() {
+    console.log( `three-sequence[${this.id}] › pause()`);
+    this._playing = false;
+  }
+
+  /**
+   * Seeks to given time: applies all cues before that time, in order — for
+   * the active camera and scene, and the properties set by the cues, to be
+   * those at that time. The properties set by the cues after that time are
+   * not reverted. The cues at that very time will be applied upon next frame.
+   *
+   * @param {number} time Time to seek to, in ms (or as a string, such as `5s`).
+   */
+  seek( time) {
+    time = Math.min( Math.max( parseTime( time) || 0, 0), this.duration);
+    console.log( `three-sequence[${this.id}] › seek( ${time})`);
+    this.applyCues( 0, time);
+    this._time = time;
+    this.requestFrame();
+  }
+
+  /**
+   * Event-listener of the frames of the parent ‹three-app› element, which
+   * advances the sequence by the delta time of the frame, while playing.
+   *
+   * @param {CustomEvent} frameStartEvent
+   */
+  onFrameStart( frameStartEvent) {
+    if( !this._playing) { return; }
+    this.advance( frameStartEvent.detail.delta);
+    this.requestFrame();
+  }
+
+  /**
+   * Advances the sequence by given delta time, and applies the cues which
+   * were passed in the meantime — starting over, if looping.
+   *
+   * @param {number} delta Time to advance by, in ms.
+   * @fires: CustomEvent( "ended")
+   */
+  advance( delta) {
+    const duration = this.duration;
+    let from = this._time,
+        to = from + delta;
+
+    while( to >= duration) {
+      // Including the cues at the very end
+      this.applyCues( from, duration, true);
+      if( !this.loop || duration <= 0) {
+        this._time = duration;
+        this.pause();
+        this.dispatchEvent( new CustomEvent( Events.ended, { bubbles: true }));
+        return;
+      }
+      from = 0;
+      to -= duration;
+    }
+    this.applyCues( from, to);
+    this._time = to;
+  }
+
+  /**
+   * Applies the cues whose time is within given range, in order.
+   *
+   * @param {number} from Start of the range, in ms (included).
+   * @param {number} to End of the range, in ms (excluded, unless `inclusive`).
+   * @param {boolean} inclusive Whether to include the end of the range.
+   * @fires: CustomEvent( "cue")
+   */
+  applyCues( from, to, inclusive = false) {
+    if( typeof this._app === "undefined") { return; }
+    this.cues.forEach(( cue) => {
+      const time = cue.at;
+      if( time >= from && ( time < to || inclusive && time === to)) {
+        cue.apply( this._app);
+        const detail = { cue, time };
+        this.dispatchEvent( new CustomEvent( Events.cue, { detail, bubbles: true }));
+      }
+    });
+  }
+
+  /**
+   * Requests the parent ‹three-app› element to render a new frame — for the
+   * sequence to keep advancing, while playing, in `on-demand` render mode.
+   */
+  requestFrame() {
+    if( this._app && typeof this._app.invalidate === "function") {
+      this._app.invalidate();
+    }
+  }
+}
+
+// Register the element with the browser
+customElements.define( "three-sequence", ThreeSequence);